@@ -0,0 +1,533 @@
+/**
+ * Mailbox Authenticator module for Asterisk voicemail.
+ *
+ * @module tests-context
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var Q = require('q');
+var machina = require('machina');
+var util = require('util');
+var errors = require('./errors.js');
+var lockout = require('./helpers/lockout.js');
+var pin = require('./helpers/pin.js');
+
+// defaults for the authenticator app config section
+var defaults = {
+  maxAttempts: 3,
+  lockoutAttempts: 5,
+  lockoutSeconds: 300,
+  digitTimeout: 5
+};
+// guards against callers never pressing #
+var maxDigits = 20;
+
+/**
+ * Returns a new finite state machine instance for the given channel and
+ * helpers intended to be used to log a caller into a mailbox.
+ *
+ * @param {Channel} channel - a channel instance
+ * @param {Context} context - context the mailboxes belong to
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {machina.Fsm} fsm - a finite state machine instance
+ */
+function fsm(channel, context, dependencies) {
+  var fsmInstance = new machina.Fsm({
+
+    initialState: 'init',
+
+    // handler for channel hanging up
+    hangupHandler: function(event) {
+      dependencies.logger.trace('hangupHandler called');
+
+      if (this.authenticating) {
+        this.emit('Error', new errors.AuthenticationError(
+            'Channel hung up before logging in'));
+      }
+
+      this.transition('done');
+    },
+
+    // removes handler for channel hanging up
+    removeHangupHandler: function() {
+      if (this.currentHangupHandler) {
+        dependencies.logger.trace('Removing hangupHandler');
+
+        channel.removeListener('StasisEnd', this.currentHangupHandler);
+        this.currentHangupHandler = null;
+      }
+    },
+
+    // removes handler for dtmf received while collecting digits
+    removeDtmfHandler: function() {
+      clearTimeout(this.digitTimer);
+
+      if (this.currentDtmfHandler) {
+        dependencies.logger.trace('Removing dtmfHandler');
+
+        channel.removeListener('ChannelDtmfReceived',
+                               this.currentDtmfHandler);
+        this.currentDtmfHandler = null;
+      }
+    },
+
+    // returns the configured sounds for the given authenticator prompt
+    getSounds: function(name) {
+      return dependencies
+        .config
+        .getAppConfig()
+        .prompts
+        .authenticator[name] || [];
+    },
+
+    // plays the given authenticator prompt, replacing the current one
+    playPrompt: function(name) {
+      this.stopPrompt();
+
+      this.currentPrompt = dependencies.prompt.create(
+          this.getSounds(name), channel);
+
+      return this.currentPrompt.play();
+    },
+
+    // stops the prompt currently playing, if any
+    stopPrompt: function() {
+      if (this.currentPrompt) {
+        this.currentPrompt.stop();
+        this.currentPrompt = null;
+      }
+    },
+
+    // plays the given prompt then collects digits until # is pressed or no
+    // digit is pressed for the digit timeout, returning the digits
+    collectDigits: function(name) {
+      var self = this;
+      var deferred = Q.defer();
+      var digits = '';
+      var finished = false;
+
+      this.removeDtmfHandler();
+
+      this.currentDtmfHandler = function(event) {
+        // callers can start entering digits during the prompt
+        self.stopPrompt();
+
+        if (event.digit === '#') {
+          finish();
+        } else if (/^\d$/.test(event.digit)) {
+          digits += event.digit;
+
+          if (digits.length >= maxDigits) {
+            finish();
+          } else {
+            waitForDigit();
+          }
+        }
+      };
+      channel.on('ChannelDtmfReceived', this.currentDtmfHandler);
+
+      this.playPrompt(name)
+        .then(function(played) {
+          waitForDigit();
+        })
+        .catch(function(err) {
+          finished = true;
+          self.removeDtmfHandler();
+          deferred.reject(err);
+        });
+
+      return deferred.promise;
+
+      function waitForDigit() {
+        if (!finished) {
+          clearTimeout(self.digitTimer);
+          self.digitTimer = setTimeout(finish,
+                                       self.settings.digitTimeout * 1000);
+        }
+      }
+
+      function finish() {
+        if (!finished) {
+          finished = true;
+          self.removeDtmfHandler();
+          deferred.resolve(digits);
+        }
+      }
+    },
+
+    // plays the given prompt then fails with the given error
+    fail: function(name, err) {
+      var self = this;
+
+      this.playPrompt(name)
+        .catch(function(promptErr) {
+          // still report the login failure
+        })
+        .finally(function() {
+          self.authenticating = false;
+          self.emit('Error', err);
+          self.transition('done');
+        });
+    },
+
+    // records a failed login, locking the mailbox after too many failures
+    // unless lockouts are disabled (lockoutAttempts of 0)
+    failed: function(mailbox) {
+      this.attempts += 1;
+
+      dependencies.logger.info({
+        mailboxNumber: this.mailboxNumber,
+        attempts: this.attempts
+      }, 'Failed mailbox login');
+
+      var lockedUntil = null;
+
+      if (mailbox && this.settings.lockoutAttempts > 0) {
+        lockedUntil = lockout.fail(mailbox,
+                                   this.settings.lockoutAttempts,
+                                   this.settings.lockoutSeconds);
+      }
+
+      if (lockedUntil) {
+        dependencies.logger.warn({
+          mailboxNumber: mailbox.mailboxNumber,
+          lockedUntil: lockedUntil.format()
+        }, 'Mailbox locked after failed logins');
+
+        this.locked(mailbox, lockedUntil);
+      } else {
+        this.transition('loginFailed');
+      }
+    },
+
+    // replaces the legacy plain text pin of the given mailbox with the
+    // hash of the pin the caller just entered
+    upgradePin: function(mailbox) {
+      var entered = this.pin;
+
+      pin.hash(entered)
+        .then(function(hashed) {
+          mailbox.password = hashed;
+
+          return dependencies.dal.mailbox.save(mailbox);
+        })
+        .then(function() {
+          dependencies.logger.info({
+            mailboxNumber: mailbox.mailboxNumber
+          }, 'Upgraded legacy mailbox pin');
+        })
+        .catch(function(err) {
+          // the caller is still logged in, the pin is upgraded next time
+          dependencies.logger.error({
+            err: err
+          }, 'Error upgrading legacy mailbox pin');
+        });
+    },
+
+    // rejects logins to a locked mailbox
+    locked: function(mailbox, lockedUntil) {
+      this.fail('mailboxLocked', new errors.MailboxLockedError(
+          util.format('Mailbox %s is locked', mailbox.mailboxNumber),
+          lockedUntil));
+    },
+
+    states: {
+      // bootstrapping
+      'init': {
+        _onEnter: function() {
+          var appConfig = dependencies.config.getAppConfig();
+          var settings = appConfig.authenticator || {};
+
+          dependencies.logger.trace('In init');
+
+          this.settings = {};
+          Object.keys(defaults).forEach(function(key) {
+            this.settings[key] = settings[key] !== undefined ?
+              settings[key] :
+              defaults[key];
+          }, this);
+
+          this.currentHangupHandler = this.hangupHandler.bind(this);
+          channel.on('StasisEnd', this.currentHangupHandler);
+
+          this.transition('ready');
+        }
+      },
+
+      // ready to log a caller in
+      'ready': {
+        _onEnter: function() {
+          dependencies.logger.trace('In ready');
+        },
+
+        authenticate: function(mailboxNumber) {
+          dependencies.logger.trace('authenticate called');
+
+          this.authenticating = true;
+          this.attempts = 0;
+          this.knownMailbox = !!mailboxNumber;
+          this.mailboxNumber = mailboxNumber;
+
+          this.transition(mailboxNumber ?
+                          'loadingMailbox' :
+                          'collectingMailbox');
+        }
+      },
+
+      // collecting the mailbox number
+      'collectingMailbox': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In collectingMailbox');
+
+          this.collectDigits('mailboxNumber')
+            .then(function(digits) {
+              self.mailboxNumber = digits;
+
+              if (self.state !== 'done') {
+                self.transition('loadingMailbox');
+              }
+            })
+            .catch(function(err) {
+              self.authenticating = false;
+              self.emit('Error', err);
+              self.transition('done');
+            });
+        }
+      },
+
+      // loading the mailbox, rejecting locked mailboxes before asking for
+      // the pin
+      'loadingMailbox': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In loadingMailbox');
+
+          var lookup = this.mailboxNumber ?
+            dependencies.dal.mailbox.get(this.mailboxNumber, context) :
+            Q.when(null);
+
+          lookup
+            .then(function(mailbox) {
+              var lockedUntil = mailbox && lockout.lockedUntil(mailbox);
+
+              if (self.state === 'done') {
+                return;
+              }
+
+              // unknown mailboxes still ask for a pin so callers cannot
+              // tell which mailboxes exist
+              self.mailbox = mailbox;
+
+              if (lockedUntil) {
+                self.locked(mailbox, lockedUntil);
+              } else {
+                self.transition('collectingPin');
+              }
+            })
+            .catch(function(err) {
+              self.authenticating = false;
+              self.emit('Error', err);
+              self.transition('done');
+            });
+        }
+      },
+
+      // collecting the pin
+      'collectingPin': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In collectingPin');
+
+          this.collectDigits('password')
+            .then(function(digits) {
+              self.pin = digits;
+
+              if (self.state !== 'done') {
+                self.transition('checking');
+              }
+            })
+            .catch(function(err) {
+              self.authenticating = false;
+              self.emit('Error', err);
+              self.transition('done');
+            });
+        }
+      },
+
+      // checking the pin against the mailbox
+      'checking': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In checking');
+
+          var mailbox = this.mailbox;
+
+          var verified = mailbox ?
+            pin.verify(mailbox.password, this.pin) :
+            pin.verifyUnknown(this.pin);
+
+          verified
+            .then(function(matches) {
+              // the channel may have hung up in the meantime
+              if (self.state === 'done') {
+                return;
+              }
+
+              // the mailbox may have been locked by another call
+              var lockedUntil = mailbox && lockout.lockedUntil(mailbox);
+
+              if (lockedUntil) {
+                self.locked(mailbox, lockedUntil);
+              } else if (matches) {
+                lockout.reset(mailbox);
+
+                dependencies.logger.info({
+                  mailboxNumber: mailbox.mailboxNumber
+                }, 'Caller logged into mailbox');
+
+                if (!pin.isHashed(mailbox.password)) {
+                  self.upgradePin(mailbox);
+                }
+
+                self.authenticating = false;
+                self.emit('Authenticated', mailbox);
+                self.transition('done');
+              } else {
+                self.failed(mailbox);
+              }
+            })
+            .catch(function(err) {
+              self.authenticating = false;
+              self.emit('Error', err);
+              self.transition('done');
+            });
+        }
+      },
+
+      // login failed, retrying if attempts remain
+      'loginFailed': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In loginFailed');
+
+          if (this.attempts >= this.settings.maxAttempts) {
+            this.fail('invalidLogin', new errors.AuthenticationError(
+                'Too many failed login attempts'));
+
+            return;
+          }
+
+          this.playPrompt('invalidLogin')
+            .then(function(played) {
+              if (self.state !== 'done') {
+                self.transition(self.knownMailbox ?
+                                'collectingPin' :
+                                'collectingMailbox');
+              }
+            })
+            .catch(function(err) {
+              self.authenticating = false;
+              self.emit('Error', err);
+              self.transition('done');
+            });
+        }
+      },
+
+      // done logging in
+      'done': {
+        _onEnter: function() {
+          dependencies.logger.trace('In done');
+
+          // cleanup
+          this.stopPrompt();
+          this.removeHangupHandler();
+          this.removeDtmfHandler();
+        },
+
+        '*': function() {
+          dependencies.logger.error('Called handle on spent fsm');
+        }
+      }
+    }
+  });
+
+  return fsmInstance;
+}
+
+/**
+ * Returns an authenticator object that can be used to log a caller into a
+ * mailbox.
+ *
+ * @param {Channel} channel - a channel instance
+ * @param {Context} context - context the mailboxes belong to
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {object} api - api for logging into a mailbox
+ */
+function create(channel, context, dependencies) {
+  dependencies.logger = dependencies.logger.child({
+    component: 'voicemail-mailbox-authenticator'
+  });
+
+  var state = fsm(channel, context, dependencies);
+
+  var api = {
+    authenticate: function(mailboxNumber) {
+      dependencies.logger.trace('authenticate called');
+
+      var deferred = Q.defer();
+
+      state.on('Authenticated', onSuccess);
+      state.on('Error', onError);
+
+      process.nextTick(function() {
+        state.handle('authenticate', mailboxNumber);
+      });
+
+      return deferred.promise;
+
+      function onSuccess(mailbox) {
+        dependencies.logger.trace('Received Authenticated from fsm');
+
+        removeListeners();
+        deferred.resolve(mailbox);
+      }
+
+      function onError(err) {
+        dependencies.logger.trace('Received Error from fsm');
+
+        removeListeners();
+        deferred.reject(err);
+      }
+
+      function removeListeners() {
+        dependencies.logger.trace('Removing fsm event handlers');
+
+        state.off('Authenticated', onSuccess);
+        state.off('Error', onError);
+      }
+    }
+  };
+
+  dependencies.logger.info('Voicemail mailbox authenticator created');
+
+  return api;
+}
+
+/**
+ * Returns module functions.
+ *
+ * @returns {object} module - module functions
+ */
+module.exports = {
+  create: create
+};
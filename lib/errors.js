@@ -0,0 +1,133 @@
+/**
+ * Errors module for Asterisk voicemail mailbox.
+ *
+ * @module errors
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var util = require('util');
+
+/**
+ * Error returned when a message cannot be left because the mailbox already
+ * holds the maximum number of messages.
+ *
+ * @param {string} message - the error message
+ */
+function MailboxFullError(message) {
+  Error.call(this);
+  Error.captureStackTrace(this, MailboxFullError);
+
+  this.name = 'MailboxFullError';
+  this.message = message;
+}
+util.inherits(MailboxFullError, Error);
+
+/**
+ * Error returned when a mailbox could not be found.
+ *
+ * @param {string} message - the error message
+ */
+function MailboxNotFoundError(message) {
+  Error.call(this);
+  Error.captureStackTrace(this, MailboxNotFoundError);
+
+  this.name = 'MailboxNotFoundError';
+  this.message = message;
+}
+util.inherits(MailboxNotFoundError, Error);
+
+/**
+ * Error returned when a message could not be found.
+ *
+ * @param {string} message - the error message
+ */
+function MessageNotFoundError(message) {
+  Error.call(this);
+  Error.captureStackTrace(this, MessageNotFoundError);
+
+  this.name = 'MessageNotFoundError';
+  this.message = message;
+}
+util.inherits(MessageNotFoundError, Error);
+
+/**
+ * Error returned when a folder could not be found.
+ *
+ * @param {string} message - the error message
+ */
+function FolderNotFoundError(message) {
+  Error.call(this);
+  Error.captureStackTrace(this, FolderNotFoundError);
+
+  this.name = 'FolderNotFoundError';
+  this.message = message;
+}
+util.inherits(FolderNotFoundError, Error);
+
+/**
+ * Error returned when a caller leaves the writer before recording a message,
+ * either to reach the operator or to log into their own mailbox.
+ *
+ * @param {string} reason - operator|login
+ * @param {string} extension - extension to send the caller to, if any
+ */
+function EscapeError(reason, extension) {
+  Error.call(this);
+  Error.captureStackTrace(this, EscapeError);
+
+  this.name = 'EscapeError';
+  this.message = util.format('Caller escaped to %s', reason);
+  this.reason = reason;
+  this.extension = extension;
+}
+util.inherits(EscapeError, Error);
+
+/**
+ * Error returned when a caller fails to log into a mailbox.
+ *
+ * @param {string} message - the error message
+ */
+function AuthenticationError(message) {
+  Error.call(this);
+  Error.captureStackTrace(this, AuthenticationError);
+
+  this.name = 'AuthenticationError';
+  this.message = message;
+}
+util.inherits(AuthenticationError, Error);
+
+/**
+ * Error returned when a caller tries to log into a mailbox that is locked
+ * after too many failed logins.
+ *
+ * @param {string} message - the error message
+ * @param {moment} lockedUntil - time at which the mailbox is unlocked
+ */
+function MailboxLockedError(message, lockedUntil) {
+  Error.call(this);
+  Error.captureStackTrace(this, MailboxLockedError);
+
+  this.name = 'MailboxLockedError';
+  this.message = message;
+  this.lockedUntil = lockedUntil;
+}
+util.inherits(MailboxLockedError, Error);
+
+/**
+ * Returns module functions.
+ *
+ * @returns {object} module - module functions
+ */
+module.exports = {
+  MailboxFullError: MailboxFullError,
+  MailboxNotFoundError: MailboxNotFoundError,
+  MessageNotFoundError: MessageNotFoundError,
+  FolderNotFoundError: FolderNotFoundError,
+  EscapeError: EscapeError,
+  AuthenticationError: AuthenticationError,
+  MailboxLockedError: MailboxLockedError
+};
@@ -0,0 +1,219 @@
+/**
+ * Message actions helper shared by the messages helper and the mailbox
+ * manager, keeping the db, MWI and stored recordings in sync.
+ *
+ * @module actions
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var Q = require('q');
+var ari = require('ari-client-wrapper');
+
+/**
+ * Marks the given message as read in the db and updates MWI.
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ * @param {Message} message - a message instance
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Q} promise - a promise containing true if the message was
+ *   updated in the db
+ */
+function updateRead(mailbox, message, dependencies) {
+  if (!message.markAsRead()) {
+    return Q.when(false);
+  }
+
+  // mark as read in db
+  return dependencies.dal.message.markAsRead(message)
+    .then(function(updated) {
+      if (updated) {
+        var notifier = dependencies.notify.create(mailbox, message);
+
+        // update MWI counts
+        return notifier.messageRead()
+          .then(function() {
+            return true;
+          });
+      }
+
+      return false;
+    });
+}
+
+/**
+ * Marks the given message as read, saving it to the given folder (the Old
+ * folder when listening to messages).
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ * @param {Message} message - a message instance
+ * @param {Folder} folder - folder to save read messages to
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Q} promise - a promise containing true if the message was unread
+ */
+function markAsRead(mailbox, message, folder, dependencies) {
+  dependencies.logger.trace('markAsRead called');
+
+  return updateRead(mailbox, message, dependencies)
+    .then(function(updated) {
+      if (updated) {
+        // save to folder in db
+        return dependencies.dal.message.changeFolder(message, folder)
+          .then(function() {
+            dependencies.logger.debug({
+              messageId: message.getId(),
+              folderName: folder.name
+            }, 'Message marked as read');
+
+            return true;
+          });
+      }
+
+      return false;
+    });
+}
+
+/**
+ * Marks the given message as unread, saves it to the INBOX and updates MWI.
+ * The message is not announced as a new message again.
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ * @param {Message} message - a message instance
+ * @param {Folder} inbox - the INBOX folder
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Q} promise - a promise resolved once the message is unread
+ */
+function markAsUnread(mailbox, message, inbox, dependencies) {
+  dependencies.logger.trace('markAsUnread called');
+
+  message.read = false;
+
+  // mark as unread in db
+  return dependencies.dal.message.markAsUnread(message)
+    .then(function() {
+      return dependencies.dal.message.changeFolder(message, inbox);
+    })
+    .then(function() {
+      var notifier = dependencies.notify.create(mailbox, message);
+
+      // update MWI counts only, like marking as read does
+      return notifier.messageRead();
+    })
+    .then(function() {
+      dependencies.logger.debug({
+        messageId: message.getId()
+      }, 'Message marked as unread');
+    });
+}
+
+/**
+ * Moves the given message to the given folder. Messages leaving the INBOX
+ * no longer count as new messages so they are marked as read first. MWI is
+ * updated whenever the message leaves or enters the INBOX.
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ * @param {Message} message - a message instance
+ * @param {Folder} folder - destination folder
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Q} promise - a promise containing the moved message
+ */
+function move(mailbox, message, folder, dependencies) {
+  dependencies.logger.trace('move called');
+
+  var inboxChanged = [message.getFolder(), folder].some(function(candidate) {
+    return candidate && candidate.name === 'INBOX';
+  });
+
+  // mark as read in db
+  var read = message.markAsRead() ?
+    dependencies.dal.message.markAsRead(message) :
+    Q.when();
+
+  return read
+    .then(function() {
+      return dependencies.dal.message.changeFolder(message, folder);
+    })
+    .then(function() {
+      if (inboxChanged) {
+        var notifier = dependencies.notify.create(mailbox, message);
+
+        // update MWI counts only, the message is not a new message
+        return notifier.messageRead();
+      }
+    })
+    .then(function() {
+      dependencies.logger.debug({
+        messageId: message.getId(),
+        folderName: folder.name
+      }, 'Message moved');
+
+      return message;
+    });
+}
+
+/**
+ * Removes the given message from the db, updates MWI and removes the
+ * recordings via ARI.
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ * @param {Message} message - a message instance
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Q} promise - a promise resolved once the message is deleted
+ */
+function destroy(mailbox, message, dependencies) {
+  dependencies.logger.trace('destroy called');
+
+  var ariConfig = dependencies.config.getAppConfig().ari;
+  var client;
+
+  return ari.getClient(ariConfig, ariConfig.applicationName)
+    .then(function(ariClient) {
+      client = ariClient;
+
+      // remove from db
+      return dependencies.dal.message.remove(message);
+    })
+    .then(function(message) {
+      if (message) {
+        var notifier = dependencies.notify.create(mailbox, message);
+
+        // update MWI
+        return notifier.messageDeleted()
+          .then(function() {
+            var deleteStored = Q.denodeify(
+              client.recordings.deleteStored.bind(client)
+            );
+
+            // remove via ARI
+            return deleteStored({
+              recordingName: message.recording
+            }).then(function() {
+              // remove comment left when message was forwarded
+              if (message.intro) {
+                return deleteStored({recordingName: message.intro});
+              }
+            }).then(function() {
+              dependencies.logger.debug({
+                messageId: message.getId()
+              }, 'Message deleted');
+            });
+          });
+      }
+    });
+}
+
+/**
+ * Returns module functions.
+ *
+ * @returns {object} module - module functions
+ */
+module.exports = {
+  markAsRead: markAsRead,
+  markAsUnread: markAsUnread,
+  move: move,
+  destroy: destroy
+};
@@ -0,0 +1,75 @@
+/**
+ * In-process bus used to share mailbox events between the writers and
+ * readers running in the same process.
+ *
+ * @module bus
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var Emitter = require('events').EventEmitter;
+var util = require('util');
+
+// shared by every module requiring this helper
+var emitter = new Emitter();
+// one listener per active reader
+emitter.setMaxListeners(0);
+
+/**
+ * Returns the name of the given event for the given mailbox.
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ * @param {string} eventName - name of the event
+ * @returns {string} name - name of the event on the bus
+ */
+function getName(mailbox, eventName) {
+  return util.format('%s:%s', eventName, mailbox.getId());
+}
+
+/**
+ * Publishes the given event for the given mailbox.
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ * @param {string} eventName - name of the event
+ * @param {*} data - data passed to subscribers
+ */
+function publish(mailbox, eventName, data) {
+  emitter.emit(getName(mailbox, eventName), data);
+}
+
+/**
+ * Subscribes the given handler to the given event for the given mailbox.
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ * @param {string} eventName - name of the event
+ * @param {Function} handler - function called with the event data
+ */
+function subscribe(mailbox, eventName, handler) {
+  emitter.on(getName(mailbox, eventName), handler);
+}
+
+/**
+ * Unsubscribes the given handler from the given event for the given mailbox.
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ * @param {string} eventName - name of the event
+ * @param {Function} handler - function previously subscribed
+ */
+function unsubscribe(mailbox, eventName, handler) {
+  emitter.removeListener(getName(mailbox, eventName), handler);
+}
+
+/**
+ * Returns module functions.
+ *
+ * @returns {object} module - module functions
+ */
+module.exports = {
+  publish: publish,
+  subscribe: subscribe,
+  unsubscribe: unsubscribe
+};
@@ -0,0 +1,40 @@
+/**
+ * Dependencies helper for modules that create other modules.
+ *
+ * Modules replace the logger of the dependencies they are created with by a
+ * child logger for their component, so a module creating another one hands
+ * it a copy to keep its own logger.
+ *
+ * @module dependencies
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/**
+ * Returns a shallow copy of the given dependencies.
+ *
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {object} copy - copy of the dependencies
+ */
+function copy(dependencies) {
+  var result = {};
+
+  Object.keys(dependencies).forEach(function(key) {
+    result[key] = dependencies[key];
+  });
+
+  return result;
+}
+
+/**
+ * Returns module functions.
+ *
+ * @returns {object} module - module functions
+ */
+module.exports = {
+  copy: copy
+};
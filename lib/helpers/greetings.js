@@ -0,0 +1,237 @@
+/**
+ * Greetings helper for interacting with mailbox greetings.
+ *
+ * @module greetings
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var Q = require('q');
+var util = require('util');
+
+/**
+ * Greeting types a mailbox can hold.
+ */
+var types = ['unavailable', 'busy', 'temporary', 'name'];
+
+/**
+ * Returns an object for interacting with the greetings of a mailbox.
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ * @param {Client} client - ARI client instance
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {object} greetings - a greetings helper object
+ */
+function collection(mailbox, client, dependencies) {
+  var greetingsObj = {
+    /**
+     * Returns the stored recording name for the given greeting type.
+     *
+     * @param {string} type - unavailable|busy|temporary|name
+     * @returns {string} name - stored recording name
+     */
+    getRecordingName: function(type) {
+      return util.format('voicemail/%s/greetings/%s', mailbox.getId(), type);
+    },
+
+    /**
+     * Returns whether the given greeting type has been recorded.
+     *
+     * @param {string} type - unavailable|busy|temporary|name
+     * @returns {Q} promise - a promise containing true if it exists
+     */
+    exists: function(type) {
+      dependencies.logger.trace('exists called');
+
+      var getStored = Q.denodeify(client.recordings.getStored.bind(client));
+
+      return getStored({recordingName: this.getRecordingName(type)})
+        .then(function() {
+          return true;
+        })
+        .catch(function(err) {
+          dependencies.logger.debug({
+            type: type,
+            err: err
+          }, 'Greeting not found');
+
+          return false;
+        });
+    },
+
+    /**
+     * Stores the given recording as the greeting of the given type, replacing
+     * any existing greeting of that type. The existing greeting is kept
+     * aside until the new one is in place and put back if storing fails. The
+     * given recording is removed.
+     *
+     * @param {string} recordingName - name of the stored recording to use
+     * @param {string} type - unavailable|busy|temporary|name
+     * @returns {Q} promise - a promise resolved once the greeting is stored
+     */
+    store: function(recordingName, type) {
+      dependencies.logger.trace('store called');
+
+      var copyStored = Q.denodeify(client.recordings.copyStored.bind(client));
+      var deleteStored = Q.denodeify(
+        client.recordings.deleteStored.bind(client)
+      );
+      var greetingName = this.getRecordingName(type);
+      var previousName = util.format('%s-previous-%d', greetingName,
+                                     Date.now());
+      var hasPrevious = false;
+
+      return this.exists(type)
+        .then(function(exists) {
+          if (exists) {
+            // ARI cannot copy over an existing recording
+            return copyStored({
+              recordingName: greetingName,
+              destinationRecordingName: previousName
+            })
+            .then(function() {
+              hasPrevious = true;
+
+              return deleteStored({recordingName: greetingName});
+            });
+          }
+        })
+        .then(function() {
+          return copyStored({
+            recordingName: recordingName,
+            destinationRecordingName: greetingName
+          })
+          .catch(function(err) {
+            if (!hasPrevious) {
+              throw err;
+            }
+
+            // put the previous greeting back
+            return copyStored({
+              recordingName: previousName,
+              destinationRecordingName: greetingName
+            })
+            .then(function() {
+              return deleteStored({recordingName: previousName});
+            })
+            .then(function() {
+              throw err;
+            });
+          });
+        })
+        .then(function() {
+          return deleteStored({recordingName: recordingName});
+        })
+        .then(function() {
+          if (hasPrevious) {
+            return deleteStored({recordingName: previousName});
+          }
+        })
+        .then(function() {
+          dependencies.logger.debug({
+            type: type,
+            recording: greetingName
+          }, 'Greeting stored');
+        });
+    },
+
+    /**
+     * Removes the greeting of the given type if it has been recorded.
+     *
+     * @param {string} type - unavailable|busy|temporary|name
+     * @returns {Q} promise - a promise containing true if a greeting was
+     *   removed
+     */
+    remove: function(type) {
+      var self = this;
+
+      dependencies.logger.trace('remove called');
+
+      var deleteStored = Q.denodeify(
+        client.recordings.deleteStored.bind(client)
+      );
+
+      return this.exists(type)
+        .then(function(exists) {
+          if (exists) {
+            return deleteStored({recordingName: self.getRecordingName(type)})
+              .then(function() {
+                return true;
+              });
+          }
+
+          return false;
+        });
+    },
+
+    /**
+     * Returns the personal greetings that should be played to a caller
+     * leaving a message. A temporary greeting takes precedence over the busy
+     * or unavailable greeting.
+     *
+     * @param {boolean} busy - whether the mailbox owner is busy
+     * @returns {Q} promise - a promise containing an object with greeting
+     *   and name recording names, either of which may be undefined
+     */
+    choose: function(busy) {
+      var self = this;
+
+      dependencies.logger.trace('choose called');
+
+      var status = busy ? 'busy': 'unavailable';
+      var checks = ['temporary', status, 'name'].map(function(type) {
+        return self.exists(type);
+      });
+
+      return Q.all(checks)
+        .spread(function(temporary, personal, name) {
+          var chosen = {};
+
+          if (temporary) {
+            chosen.greeting = self.getRecordingName('temporary');
+          } else if (personal) {
+            chosen.greeting = self.getRecordingName(status);
+          }
+
+          if (name) {
+            chosen.name = self.getRecordingName('name');
+          }
+
+          dependencies.logger.debug({
+            greetings: chosen
+          }, 'Greetings chosen');
+
+          return chosen;
+        });
+    }
+  };
+
+  return greetingsObj;
+}
+
+/**
+ * Creates a greetings helper.
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ * @param {Client} client - ARI client instance
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Greetings} greetings - a greetings object for interacting with a
+ *   mailbox's greetings
+ */
+function create(mailbox, client, dependencies) {
+  return collection(mailbox, client, dependencies);
+}
+
+/**
+ * Returns module functions.
+ *
+ * @returns {object} module - module functions
+ */
+module.exports = {
+  create: create,
+  types: types
+};
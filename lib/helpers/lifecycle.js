@@ -0,0 +1,88 @@
+/**
+ * Lifecycle helper for emitting public events from the objects returned by
+ * the reader and writer.
+ *
+ * @module lifecycle
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var Emitter = require('events').EventEmitter;
+
+/**
+ * Adds event emitter methods to the given api and emits stateChanged and
+ * sessionEnded events as the given finite state machine transitions.
+ *
+ * Every event is emitted with an object containing the mailbox id, channel
+ * id and message id (null if there is no message) along with any details
+ * specific to the event.
+ *
+ * @param {object} api - api object returned to the application
+ * @param {machina.Fsm} state - finite state machine driving the api
+ * @param {Mailbox} mailbox - a mailbox instance
+ * @param {Channel} channel - a channel instance
+ * @param {Function} getMessage - returns the message the fsm is handling
+ * @returns {Function} emit - function used to emit events with a message
+ *   and optional details
+ */
+function create(api, state, mailbox, channel, getMessage) {
+  var emitter = new Emitter();
+
+  ['on', 'once', 'removeListener', 'removeAllListeners'].forEach(
+      function(method) {
+    api[method] = function() {
+      emitter[method].apply(emitter, arguments);
+
+      return api;
+    };
+  });
+
+  state.on('transition', function(data) {
+    var message = getMessage();
+
+    emit('stateChanged', message, {
+      fromState: data.fromState,
+      toState: data.toState
+    });
+
+    if (data.toState === 'done') {
+      emit('sessionEnded', message);
+    }
+  });
+
+  return emit;
+
+  /**
+   * Emits the given event for the given message.
+   *
+   * @param {string} eventName - name of the event
+   * @param {Message} message - a message instance
+   * @param {object} details - additional fields to include in the event
+   */
+  function emit(eventName, message, details) {
+    var event = {
+      mailboxId: mailbox.getId(),
+      channelId: channel ? channel.id : null,
+      messageId: message ? message.getId() : null
+    };
+
+    Object.keys(details || {}).forEach(function(key) {
+      event[key] = details[key];
+    });
+
+    emitter.emit(eventName, event);
+  }
+}
+
+/**
+ * Returns module functions.
+ *
+ * @returns {object} module - module functions
+ */
+module.exports = {
+  create: create
+};
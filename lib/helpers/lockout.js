@@ -0,0 +1,87 @@
+/**
+ * Lockout helper keeping track of failed mailbox logins. Failures are shared
+ * by every authenticator running in the same process so callers cannot get
+ * around a lockout by calling back.
+ *
+ * @module lockout
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var moment = require('moment');
+
+// failed logins and lockout time keyed by mailbox id
+var mailboxes = {};
+
+/**
+ * Returns the time at which the given mailbox is unlocked, or null if the
+ * mailbox is not locked.
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ * @returns {moment} lockedUntil - time at which the mailbox is unlocked
+ */
+function lockedUntil(mailbox) {
+  var entry = mailboxes[mailbox.getId()];
+
+  if (entry && entry.lockedUntil) {
+    if (entry.lockedUntil.isAfter(moment.utc())) {
+      return entry.lockedUntil;
+    }
+
+    // lockout expired
+    delete mailboxes[mailbox.getId()];
+  }
+
+  return null;
+}
+
+/**
+ * Records a failed login for the given mailbox, locking the mailbox once
+ * the given number of consecutive failures is reached.
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ * @param {int} maxFailures - failures allowed before locking the mailbox
+ * @param {int} seconds - how long to lock the mailbox for
+ * @returns {moment} lockedUntil - time at which the mailbox is unlocked, or
+ *   null if the mailbox was not locked
+ */
+function fail(mailbox, maxFailures, seconds) {
+  var id = mailbox.getId();
+  var entry = mailboxes[id] || {failures: 0};
+
+  entry.failures += 1;
+  mailboxes[id] = entry;
+
+  if (entry.failures >= maxFailures) {
+    entry.failures = 0;
+    entry.lockedUntil = moment.utc().add(seconds, 'seconds');
+
+    return entry.lockedUntil;
+  }
+
+  return null;
+}
+
+/**
+ * Clears the failed logins for the given mailbox.
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ */
+function reset(mailbox) {
+  delete mailboxes[mailbox.getId()];
+}
+
+/**
+ * Returns module functions.
+ *
+ * @returns {object} module - module functions
+ */
+module.exports = {
+  lockedUntil: lockedUntil,
+  fail: fail,
+  reset: reset
+};
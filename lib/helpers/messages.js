@@ -10,9 +10,76 @@
 
 'use strict';
 
-var moment = require('moment');
+var moment = require('moment-timezone');
 var Q = require('q');
-var ari = require('ari-client-wrapper');
+var util = require('util');
+var actions = require('./actions.js');
+
+// default share of a message, in percent, that must be heard for the
+// message to be considered read
+var defaultHeardPercent = 75;
+// default order in which messages are played
+var defaultSortMode = 'urgent';
+// default number of messages fetched at a time
+var defaultPageSize = 20;
+// seconds during which fetched messages are assumed to still exist
+var freshSeconds = 30;
+
+/**
+ * Functions comparing two messages for each supported sort mode. Messages
+ * comparing equal keep the order in which they were added.
+ */
+var sortModes = {
+  newest: function(a, b) {
+    return b.date.valueOf() - a.date.valueOf();
+  },
+
+  oldest: function(a, b) {
+    return a.date.valueOf() - b.date.valueOf();
+  },
+
+  urgent: function(a, b) {
+    return (b.urgent ? 1: 0) - (a.urgent ? 1: 0);
+  },
+
+  unheard: function(a, b) {
+    return (a.read ? 1: 0) - (b.read ? 1: 0);
+  }
+};
+
+/**
+ * Returns whether the given mailbox configuration flag is turned on.
+ *
+ * @param {*} value - configuration value (boolean or yes/no string)
+ * @param {boolean} fallback - value to use when the flag is not set
+ * @returns {boolean} enabled - whether the flag is turned on
+ */
+function enabled(value, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  if (typeof value === 'string') {
+    return ['yes', 'true', '1'].indexOf(value.toLowerCase()) !== -1;
+  }
+
+  return !!value;
+}
+
+/**
+ * Returns the number part of the given caller id, which is stored as
+ * "name" <number> when both are known.
+ *
+ * @param {string} callerId - the caller id stored with a message
+ * @returns {string} number - the caller number, or null if the caller id has
+ *   no number that can be read back
+ */
+function callerNumber(callerId) {
+  var match = /<([^>]*)>/.exec(callerId || '');
+  var number = match ? match[1] : String(callerId || '');
+
+  return /^\d+$/.test(number) ? number : null;
+}
 
 /**
  * Returns an object representing a collection of messages.
@@ -24,8 +91,15 @@ var ari = require('ari-client-wrapper');
  * @returns {object} messages - a messages helper object
  */
 function collection(mailbox, folders, currentFolder, dependencies) {
+  // window of messages fetched around the current message
   var messages = [];
-  // current index into messages
+  // index of the first message in the window
+  var windowStart = 0;
+  // when the window was last fetched
+  var windowLoadedAt = 0;
+  // total number of messages in the current folder
+  var total = 0;
+  // current index into all messages in the current folder
   var currentIndex = 0;
   // we may not have started playing messages or message could have been removed
   var currentMessage = false;
@@ -33,13 +107,88 @@ function collection(mailbox, folders, currentFolder, dependencies) {
   var firstMessagePlayed = false;
   // mailbox configuration
   var config;
+  // messages marked as deleted keyed by message id
+  var pendingDeletes = {};
+  // messages still held that have left the current folder in the db (read
+  // messages moved to Old, deleted messages moved to Deleted) keyed by id
+  var departed = {};
 
   var getMessage = function() {
     dependencies.logger.debug({
       currentIndex: currentIndex
     }, 'Fetching message');
 
-    return messages[currentIndex];
+    return messages[currentIndex - windowStart];
+  };
+
+  /**
+   * Drops the messages that have left the current folder in the db from the
+   * window, keeping the current index on the current message, so that page
+   * offsets match the messages left in the folder.
+   */
+  var dropDeparted = function() {
+    var index = currentIndex;
+
+    messages = messages.filter(function(message, windowIndex) {
+      if (!departed[message.getId()]) {
+        return true;
+      }
+
+      var position = windowStart + windowIndex;
+
+      if (position < index) {
+        currentIndex -= 1;
+      } else if (position === index) {
+        currentMessage = false;
+      }
+
+      total -= 1;
+
+      return false;
+    });
+
+    departed = {};
+  };
+
+  /**
+   * Fetches the page of messages around the current index unless it is
+   * already held in the window.
+   *
+   * @returns {Q} promise - a promise resolved once the message is held
+   */
+  var fetchWindow = function() {
+    var held = function() {
+      return currentIndex >= windowStart &&
+             currentIndex < windowStart + messages.length;
+    };
+
+    if (!held()) {
+      dropDeparted();
+    }
+
+    if (held() || currentIndex < 0 || currentIndex >= total) {
+      return Q.when();
+    }
+
+    var pageSize = parseInt(config && config['page_size'], 10) ||
+                   defaultPageSize;
+    var offset = Math.max(0, currentIndex - Math.floor(pageSize / 2));
+
+    dependencies.logger.debug({
+      offset: offset,
+      limit: pageSize
+    }, 'Fetching page of messages');
+
+    return dependencies.dal.message.page(mailbox, currentFolder, {
+      offset: offset,
+      limit: pageSize,
+      sort: getSortMode()
+    })
+    .then(function(page) {
+      messages = page || [];
+      windowStart = offset;
+      windowLoadedAt = Date.now();
+    });
   };
 
   /**
@@ -57,7 +206,13 @@ function collection(mailbox, folders, currentFolder, dependencies) {
 
     dependencies.logger.trace('ensureMessageExists called');
 
-    dependencies.dal.message.get(message)
+    // messages fetched recently are not checked again
+    var check = Q.when(message);
+    if (Date.now() - windowLoadedAt >= freshSeconds * 1000) {
+      check = dependencies.dal.message.get(message);
+    }
+
+    check
       .then(function(instance) {
         return !!instance;
       })
@@ -102,6 +257,160 @@ function collection(mailbox, folders, currentFolder, dependencies) {
     return dependencies.dal.message.latest(mailbox, currentFolder, latest);
   };
 
+  /**
+   * Returns the sort mode set in the mailbox configuration.
+   *
+   * @returns {string} mode - newest|oldest|urgent|unheard
+   */
+  var getSortMode = function() {
+    var mode = (config && config.sort) || defaultSortMode;
+
+    if (!sortModes[mode]) {
+      dependencies.logger.warn({
+        sort: mode
+      }, 'Unknown sort mode, using default');
+
+      mode = defaultSortMode;
+    }
+
+    return mode;
+  };
+
+  /**
+   * Inserts the given message after the messages that sort before or equal
+   * to it, keeping the current index on the current message. Messages that
+   * sort outside of the window are only counted.
+   *
+   * @param {Message} message - a message instance
+   */
+  var insertSorted = function(message) {
+    var compare = sortModes[getSortMode()];
+    var index = messages.length;
+
+    for (var i = 0; i < messages.length; i++) {
+      if (compare(message, messages[i]) < 0) {
+        index = i;
+        break;
+      }
+    }
+
+    var afterWindow = index === messages.length &&
+                      windowStart + messages.length < total;
+
+    total += 1;
+
+    if (index === 0 && windowStart > 0) {
+      // sorts before the window
+      windowStart += 1;
+      currentIndex += 1;
+    } else if (!afterWindow) {
+      messages.splice(index, 0, message);
+
+      var position = windowStart + index;
+      if (position < currentIndex ||
+          (position === currentIndex && currentMessage)) {
+        currentIndex += 1;
+      }
+    }
+  };
+
+  /**
+   * Marks the given message as deleted, moving it to the Deleted folder if
+   * the mailbox has one. The message is permanently deleted on purge or once
+   * the delete_grace period (in seconds) has passed.
+   *
+   * @param {Message} message - a message instance
+   * @returns {Q} promise - a promise resolved once the message is marked
+   */
+  var softDelete = function(message) {
+    if (!message || message.deleted) {
+      return Q.when();
+    }
+
+    var deletedFolder = Object.keys(folders)
+      .map(function(key) {
+        return folders[key];
+      })
+      .filter(function(folder) {
+        return folder.name === 'Deleted';
+      })[0];
+    var grace = Number(config['delete_grace']) || 0;
+    var pending = {
+      message: message
+    };
+
+    message.deleted = true;
+    pendingDeletes[message.getId()] = pending;
+
+    if (grace > 0) {
+      pending.timer = setTimeout(function() {
+        purgeMessage(message.getId())
+          .catch(function(err) {
+            dependencies.logger.error({
+              err: err
+            }, 'Error purging message');
+          });
+      }, grace * 1000);
+    }
+
+    dependencies.logger.debug({
+      messageId: message.getId()
+    }, 'Message marked as deleted');
+
+    // without a Deleted folder, the message only leaves the db (and MWI is
+    // only updated) once it is permanently deleted
+    if (!deletedFolder) {
+      return Q.when();
+    }
+
+    pending.folder = currentFolder;
+    departed[message.getId()] = true;
+
+    return dependencies.dal.message.changeFolder(message, deletedFolder)
+      .then(function() {
+        var notifier = dependencies.notify.create(mailbox, message);
+
+        // update MWI counts so deleted messages no longer count as waiting
+        return notifier.messageDeleted();
+      });
+  };
+
+  /**
+   * Permanently deletes the message marked as deleted with the given id.
+   *
+   * @param {string} id - message id
+   * @returns {Q} promise - a promise resolved once the message is deleted
+   */
+  var purgeMessage = function(id) {
+    var pending = pendingDeletes[id];
+
+    if (!pending) {
+      return Q.when();
+    }
+
+    clearTimeout(pending.timer);
+    delete pendingDeletes[id];
+
+    var message = pending.message;
+    var index = messages.indexOf(message);
+
+    // keep the current index pointing at the same message
+    if (index !== -1) {
+      var position = windowStart + index;
+
+      if (position < currentIndex) {
+        currentIndex -= 1;
+      } else if (position === currentIndex) {
+        currentMessage = false;
+      }
+
+      messages.splice(index, 1);
+      total -= 1;
+    }
+
+    return actions.destroy(mailbox, message, dependencies);
+  };
+
   var collectionObj = {
     // 1900
     latest: moment.utc('1990-01-01T00:00:00.000Z'),
@@ -131,7 +440,7 @@ function collection(mailbox, folders, currentFolder, dependencies) {
     isEmpty: function() {
       dependencies.logger.trace('isEmpty called');
 
-      var empty = messages.length ? false: true;
+      var empty = total ? false: true;
       dependencies.logger.debug({
         value: empty
       }, 'Empty?');
@@ -153,7 +462,7 @@ function collection(mailbox, folders, currentFolder, dependencies) {
     manyExist: function() {
       dependencies.logger.trace('manyExist called');
 
-      var many = messages.length > 1;
+      var many = total > 1;
       dependencies.logger.debug({
         value: many
       }, 'Many Exists?');
@@ -164,7 +473,7 @@ function collection(mailbox, folders, currentFolder, dependencies) {
     getCount: function() {
       dependencies.logger.trace('getCount called');
 
-      var count = messages.length;
+      var count = total;
       dependencies.logger.debug({
         value: count
       }, 'Count');
@@ -183,6 +492,12 @@ function collection(mailbox, folders, currentFolder, dependencies) {
       return order;
     },
 
+    getConfig: function() {
+      dependencies.logger.trace('getConfig called');
+
+      return config || {};
+    },
+
     getCurrentFolder: function() {
       dependencies.logger.trace('getCurrentFolder called');
 
@@ -201,27 +516,34 @@ function collection(mailbox, folders, currentFolder, dependencies) {
 
       var deferred = Q.defer();
       currentIndex = 0;
-      var message = getMessage();
-
-      if (!message) {
-        getLatest(this.latest)
-          .then(function(newMessages) {
-            self.add(newMessages);
-            message = getMessage();
-
-            if (message) {
-              currentMessage = true;
-              firstMessagePlayed = true;
-            }
 
-            deferred.resolve(message);
-          })
-          .catch(function(err) {
-            deferred.reject(err);
-          });
-      } else {
-        ensureMessageExists.call(this, message, deferred, 'first');
-      }
+      fetchWindow()
+        .then(function() {
+          var message = getMessage();
+
+          if (!message) {
+            getLatest(self.latest)
+              .then(function(newMessages) {
+                self.add(newMessages);
+                message = getMessage();
+
+                if (message) {
+                  currentMessage = true;
+                  firstMessagePlayed = true;
+                }
+
+                deferred.resolve(message);
+              })
+              .catch(function(err) {
+                deferred.reject(err);
+              });
+          } else {
+            ensureMessageExists.call(self, message, deferred, 'first');
+          }
+        })
+        .catch(function(err) {
+          deferred.reject(err);
+        });
 
       return deferred.promise
         .then(function(message) {
@@ -240,32 +562,39 @@ function collection(mailbox, folders, currentFolder, dependencies) {
 
       var deferred = Q.defer();
       currentIndex = currentMessage ? currentIndex + 1: currentIndex;
-      var message = getMessage();
-
-      // see if new messages have come in
-      if (!message) {
-        getLatest(this.latest)
-          .then(function(newMessages) {
-            self.add(newMessages);
-            message = getMessage();
-
-            if (currentIndex === messages.length) {
-              currentIndex -= 1;
-            }
-
-            if (message) {
-              currentMessage = true;
-            }
 
-            deferred.resolve(message);
-          })
-          .catch(function(err) {
-            deferred.reject(err);
-          });
-      // ensure message still exists
-      } else {
-        ensureMessageExists.call(this, message, deferred, 'next');
-      }
+      fetchWindow()
+        .then(function() {
+          var message = getMessage();
+
+          // see if new messages have come in
+          if (!message) {
+            getLatest(self.latest)
+              .then(function(newMessages) {
+                self.add(newMessages);
+                message = getMessage();
+
+                if (currentIndex === total) {
+                  currentIndex -= 1;
+                }
+
+                if (message) {
+                  currentMessage = true;
+                }
+
+                deferred.resolve(message);
+              })
+              .catch(function(err) {
+                deferred.reject(err);
+              });
+          // ensure message still exists
+          } else {
+            ensureMessageExists.call(self, message, deferred, 'next');
+          }
+        })
+        .catch(function(err) {
+          deferred.reject(err);
+        });
 
       return deferred.promise
         .then(function(message) {
@@ -278,16 +607,25 @@ function collection(mailbox, folders, currentFolder, dependencies) {
     },
 
     current: function() {
+      var self = this;
+
       dependencies.logger.trace('current called');
 
       var deferred = Q.defer();
-      var message = getMessage();
 
-      if (!message) {
-        deferred.resolve();
-      } else {
-        ensureMessageExists.call(this, message, deferred, 'current');
-      }
+      fetchWindow()
+        .then(function() {
+          var message = getMessage();
+
+          if (!message) {
+            deferred.resolve();
+          } else {
+            ensureMessageExists.call(self, message, deferred, 'current');
+          }
+        })
+        .catch(function(err) {
+          deferred.reject(err);
+        });
 
       return deferred.promise
         .then(function(message) {
@@ -300,21 +638,30 @@ function collection(mailbox, folders, currentFolder, dependencies) {
     },
 
     prev: function() {
+      var self = this;
+
       dependencies.logger.trace('prev called');
 
       var deferred = Q.defer();
       currentIndex -= 1;
-      var message = getMessage();
 
-      if (!message) {
-        if (currentIndex < 0) {
-          currentIndex = 0;
-        }
+      fetchWindow()
+        .then(function() {
+          var message = getMessage();
 
-        deferred.resolve();
-      } else {
-        ensureMessageExists.call(this, message, deferred, 'prev');
-      }
+          if (!message) {
+            if (currentIndex < 0) {
+              currentIndex = 0;
+            }
+
+            deferred.resolve();
+          } else {
+            ensureMessageExists.call(self, message, deferred, 'prev');
+          }
+        })
+        .catch(function(err) {
+          deferred.reject(err);
+        });
 
       return deferred.promise
         .then(function(message) {
@@ -350,7 +697,7 @@ function collection(mailbox, folders, currentFolder, dependencies) {
             message: message
           }, 'Adding message');
 
-          messages.push(message);
+          insertSorted(message);
 
           if (message.date.isAfter(self.latest)) {
             dependencies.logger.debug({
@@ -363,41 +710,92 @@ function collection(mailbox, folders, currentFolder, dependencies) {
       });
     },
 
+    /**
+     * Marks the given message as read, saving it to the Old folder.
+     *
+     * @param {Message} message - a message instance
+     * @returns {Q} promise - a promise resolved once the message is saved
+     */
     markAsRead: function(message) {
       dependencies.logger.trace('markAsRead called');
 
       if (message) {
-        var changed = message.markAsRead();
-
-        if (changed) {
-          // mark as read in db
-          dependencies.dal.message.markAsRead(message)
-            .then(function(updated) {
-              if (updated) {
-                var notifier = dependencies.notify.create(mailbox, message);
-
-                // update MWI counts
-                return notifier.messageRead()
-                  .then(function() {
-                    var old = folders[1];
-
-                    // save to Old messages folder in db
-                    return dependencies.dal.message.changeFolder(message, old)
-                      .then(function() {
-                        dependencies.logger.debug({
-                          messageId: message.getId()
-                        }, 'Message moved to Old folder');
-                      });
-                  });
-              }
-            })
-            .catch(function(err) {
-              dependencies.logger.error({
-                err: err
-              }, 'Error marking as read');
-            });
+        if (!message.read && currentFolder !== folders[1]) {
+          departed[message.getId()] = true;
         }
+
+        // save to Old messages folder in db
+        return actions.markAsRead(mailbox, message, folders[1], dependencies)
+          .catch(function(err) {
+            dependencies.logger.error({
+              err: err
+            }, 'Error marking as read');
+          });
       }
+
+      return Q.when();
+    },
+
+    /**
+     * Returns whether enough of the given message was heard for it to be
+     * considered read, based on the heard_percent mailbox configuration.
+     *
+     * @param {Message} message - a message instance
+     * @param {number} seconds - number of seconds of the message heard
+     * @returns {boolean} heard - whether the message was heard
+     */
+    isHeard: function(message, seconds) {
+      dependencies.logger.trace('isHeard called');
+
+      if (!message) {
+        return false;
+      }
+
+      // nothing to compare against, treat any playback as heard
+      if (!message.duration) {
+        return true;
+      }
+
+      var percent = parseFloat(config && config['heard_percent']);
+      if (isNaN(percent)) {
+        percent = defaultHeardPercent;
+      }
+
+      return seconds >= message.duration * Math.min(percent, 100) / 100;
+    },
+
+    /**
+     * Marks the current message as unread, moving it back to the INBOX.
+     *
+     * @returns {Q} promise - a promise containing true if the message was
+     *   marked as unread
+     */
+    markAsUnread: function() {
+      dependencies.logger.trace('markAsUnread called');
+
+      var message = getMessage();
+      var inbox = folders[0];
+
+      if (!message || !currentMessage) {
+        return Q.reject(new Error('No current message to mark as unread'));
+      }
+
+      if (!message.read && currentFolder === inbox) {
+        return Q.when(false);
+      }
+
+      // messages marked as read were moved out of the INBOX in the db
+      if (currentFolder !== inbox) {
+        currentMessage = false;
+        this.remove(message);
+      } else {
+        delete departed[message.getId()];
+      }
+
+      return actions.markAsUnread(mailbox, message, inbox, dependencies)
+        .then(function() {
+          return true;
+        });
     },
 
     /**
@@ -407,57 +805,122 @@ function collection(mailbox, folders, currentFolder, dependencies) {
       dependencies.logger.trace('remove called');
 
       if (message) {
-        // remove from our in memory array
-        messages = messages.filter(function(candidate) {
+        // remove from our in memory window
+        var remaining = messages.filter(function(candidate) {
           return candidate.getId() !== message.getId();
         });
+
+        total -= messages.length - remaining.length;
+        messages = remaining;
       }
     },
 
     /**
      * Deletes the current message.
+     *
+     * @returns {Q} promise - a promise containing the deleted message
      */
     'delete': function() {
       dependencies.logger.trace('delete called');
 
-      var ariConfig = dependencies.config.getAppConfig().ari;
-      var client;
       var message = getMessage();
-      currentMessage = false;
+      var deleted;
 
-      this.remove(message);
+      if (enabled(config && config['soft_delete'], false)) {
+        deleted = softDelete(message);
+      } else {
+        currentMessage = false;
+        this.remove(message);
 
-      return ari.getClient(ariConfig, ariConfig.applicationName)
-        .then(function(ariClient) {
-          client = ariClient;
+        deleted = actions.destroy(mailbox, message, dependencies);
+      }
 
-          // remove from db
-          return dependencies.dal.message.remove(message);
-        })
-        .then(function(message) {
-          if (message) {
+      return deleted
+        .then(function() {
+          return message;
+        });
+    },
+
+    /**
+     * Restores the current message if it has been marked as deleted.
+     *
+     * @returns {Q} promise - a promise containing true if the message was
+     *   restored
+     */
+    undelete: function() {
+      dependencies.logger.trace('undelete called');
+
+      var message = getMessage();
+
+      if (!currentMessage || !message || !message.deleted) {
+        return Q.when(false);
+      }
+
+      var pending = pendingDeletes[message.getId()];
+      clearTimeout(pending.timer);
+      delete pendingDeletes[message.getId()];
+      message.deleted = false;
+      delete departed[message.getId()];
+
+      var restore = Q.when();
+      if (pending.folder) {
+        restore = dependencies.dal.message.changeFolder(message,
+                                                        pending.folder)
+          .then(function() {
             var notifier = dependencies.notify.create(mailbox, message);
 
-            // update MWI
-            return notifier.messageDeleted()
-              .then(function() {
-                var deleteStored = Q.denodeify(
-                  client.recordings.deleteStored.bind(client)
-                );
-
-                // remove via ARI
-                return deleteStored({
-                  recordingName: message.recording
-                }).then(function() {
-                  dependencies.logger.debug({
-                    messageId: message.getId()
-                  }, 'Message deleted');
-                });
-              });
-          }
+            // update MWI counts only, the message is not a new message
+            return notifier.messageRead();
+          });
+      }
+
+      return restore
+        .then(function() {
+          dependencies.logger.debug({
+            messageId: message.getId()
+          }, 'Message undeleted');
+
+          return true;
         });
     },
 
+    /**
+     * Permanently deletes all messages marked as deleted.
+     *
+     * @returns {Q} promise - a promise resolved once messages are deleted
+     */
+    purge: function() {
+      dependencies.logger.trace('purge called');
+
+      return Q.all(Object.keys(pendingDeletes).map(purgeMessage));
+    },
+
+    /**
+     * Moves the current message to the folder for the given dtmf option.
+     *
+     * @param {string} option - dtmf key of the destination folder
+     * @returns {Q} promise - a promise containing the moved message
+     */
+    move: function(option) {
+      dependencies.logger.trace('move called');
+
+      var folder = folders[option];
+      var message = getMessage();
+
+      if (!message || !currentMessage) {
+        return Q.reject(new Error('No current message to move'));
+      }
+
+      if (folder === currentFolder) {
+        return Q.when(message);
+      }
+
+      currentMessage = false;
+      this.remove(message);
+
+      return actions.move(mailbox, message, folder, dependencies);
+    },
+
     calculateMenu: function() {
       dependencies.logger.trace('calculateMenu called');
 
@@ -476,12 +939,14 @@ function collection(mailbox, folders, currentFolder, dependencies) {
           menu.push('menuRepeat');
         }
 
-        if (currentIndex !== messages.length - 1) {
+        // the window only holds a page of the messages in the folder
+        if (currentIndex < total - 1) {
           menu.push('menuNext');
         }
 
         if (currentMessage) {
-          menu.push('menuDelete');
+          menu.push(getMessage().deleted ? 'menuUndelete': 'menuDelete');
+          menu.push('menuSave');
         }
       }
 
@@ -492,6 +957,84 @@ function collection(mailbox, folders, currentFolder, dependencies) {
       return menu;
     },
 
+    /**
+     * Returns the envelope information to announce before the given message
+     * according to the saycid, envelope and sayduration mailbox settings.
+     *
+     * @param {Message} message - a message instance
+     * @returns {object} envelope - sounds keyed by prompt name and the
+     *   replacements used by those prompts
+     */
+    calculateEnvelope: function(message) {
+      dependencies.logger.trace('calculateEnvelope called');
+
+      var envelope = {
+        sounds: [],
+        replacements: {}
+      };
+      var replacements = envelope.replacements;
+      var mailboxConfig = config || {};
+
+      if (enabled(mailboxConfig.envelope, true)) {
+        var timezone = mailboxConfig.tz || 'UTC';
+        var date = moment(message.date).tz(timezone);
+        var today = moment().tz(timezone).startOf('day');
+        var days = today.diff(date.clone().startOf('day'), 'days');
+
+        if (days === 0) {
+          replacements.day = 'sound:digits/today';
+        } else if (days === 1) {
+          replacements.day = 'sound:digits/yesterday';
+        } else if (days > 1 && days < 7) {
+          replacements.day = util.format('sound:digits/day-%d', date.day());
+        }
+
+        if (replacements.day) {
+          envelope.sounds.push('envelopeDay');
+        } else {
+          replacements.month = util.format('sound:digits/mon-%d',
+                                           date.month());
+          replacements.date = util.format('number:%d', date.date());
+          envelope.sounds.push('envelopeDate');
+        }
+
+        replacements.hour = util.format('number:%d', date.hour() % 12 || 12);
+        replacements.minute = date.minute() ?
+          util.format('number:%d', date.minute()) :
+          'sound:digits/oclock';
+        replacements.meridiem = date.hour() < 12 ?
+          'sound:digits/a-m' :
+          'sound:digits/p-m';
+      }
+
+      // only numbers can be read back to the user
+      var number = callerNumber(message.callerId);
+      if (enabled(mailboxConfig.saycid, false) && number) {
+        replacements.callerId = util.format('digits:%s', number);
+        envelope.sounds.push('envelopeCallerId');
+      }
+
+      if (enabled(mailboxConfig.sayduration, false) && message.duration) {
+        var minutes = Math.floor(message.duration / 60);
+
+        if (minutes > 0) {
+          replacements.duration = util.format('number:%d', minutes);
+          replacements.unit = 'sound:minutes';
+        } else {
+          replacements.duration = util.format('number:%d', message.duration);
+          replacements.unit = 'sound:seconds';
+        }
+
+        envelope.sounds.push('envelopeDuration');
+      }
+
+      dependencies.logger.debug({
+        envelope: envelope
+      }, 'Envelope calculated');
+
+      return envelope;
+    },
+
     load: function() {
       var self = this;
 
@@ -501,17 +1044,34 @@ function collection(mailbox, folders, currentFolder, dependencies) {
       firstMessagePlayed = false;
       currentIndex = 0;
       messages = [];
+      windowStart = 0;
+      windowLoadedAt = 0;
+      total = 0;
+      departed = {};
+      // messages arriving from now on are fetched as the latest messages
+      self.latest = moment.utc();
+
+      // sort mode and page size come from the mailbox config
+      var loadConfig = Q.when();
+      if (!config) {
+        loadConfig = dependencies.config.getMailboxConfig(mailbox)
+          .then(function(mailboxConfig) {
+            config = mailboxConfig;
+          });
+      }
+
+      return loadConfig
+        .then(function() {
+          return dependencies.dal.message.count(mailbox, currentFolder);
+        })
+        .then(function(count) {
+          total = count;
 
-      return dependencies.dal.message.all(mailbox, currentFolder)
-        .then(function(allMessages) {
-          self.add(allMessages);
+          dependencies.logger.debug({
+            count: count
+          }, 'Messages counted');
 
-          if (!config) {
-            return dependencies.config.getMailboxConfig(mailbox)
-              .then(function(mailboxConfig) {
-                config = mailboxConfig;
-              });
-          }
+          return fetchWindow();
         });
     },
 
@@ -554,5 +1114,6 @@ function populateFromMessages(mailbox, folders, currentFolder, dependencies) {
  * @returns {object} module - module functions
  */
 module.exports = {
-  create: populateFromMessages
+  create: populateFromMessages,
+  sortModes: Object.keys(sortModes)
 };
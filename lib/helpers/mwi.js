@@ -0,0 +1,58 @@
+/**
+ * MWI helper for calculating the message counts sent along with mailbox
+ * notifications.
+ *
+ * @module mwi
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var Q = require('q');
+
+/**
+ * Returns the number of urgent and normal messages in the INBOX of the given
+ * mailbox.
+ *
+ * @param {Mailbox} mailbox - mailbox instance
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Q} promise - a promise containing an object with urgent and
+ *   normal counts
+ */
+function inboxCounts(mailbox, dependencies) {
+  dependencies.logger.trace('inboxCounts called');
+
+  return dependencies.dal.folder.all()
+    .then(function(folders) {
+      var inbox = folders['0'];
+
+      return Q.all([
+        dependencies.dal.message.count(mailbox, inbox),
+        dependencies.dal.message.count(mailbox, inbox, {urgent: true})
+      ]);
+    })
+    .spread(function(count, urgent) {
+      var counts = {
+        urgent: urgent,
+        normal: count - urgent
+      };
+
+      dependencies.logger.debug({
+        counts: counts
+      }, 'Inbox message counts');
+
+      return counts;
+    });
+}
+
+/**
+ * Returns module functions.
+ *
+ * @returns {object} module - module functions
+ */
+module.exports = {
+  inboxCounts: inboxCounts
+};
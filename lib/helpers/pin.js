@@ -0,0 +1,192 @@
+/**
+ * PIN helper for hashing, verifying and validating mailbox PINs.
+ *
+ * PINs are hashed with PBKDF2 using a random salt and stored as
+ * pbkdf2-sha256$<iterations>$<salt>$<hash>. Any other stored value is a
+ * legacy plain text PIN.
+ *
+ * @module pin
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var Q = require('q');
+var crypto = require('crypto');
+var util = require('util');
+
+var scheme = 'pbkdf2-sha256';
+var digest = 'sha256';
+var iterations = 100000;
+var saltBytes = 16;
+var keyBytes = 32;
+// minimum PIN length when the mailbox config does not set minpassword
+var defaultMinLength = 4;
+
+/**
+ * Returns whether the given strings are equal, taking the same time whether
+ * or not they are.
+ *
+ * @param {string} expected - the expected value
+ * @param {string} actual - the actual value
+ * @returns {boolean} equal - whether the strings are equal
+ */
+function equals(expected, actual) {
+  var mismatch = expected.length ^ actual.length;
+
+  for (var i = 0; i < actual.length; i++) {
+    mismatch |= actual.charCodeAt(i) ^ expected.charCodeAt(i);
+  }
+
+  return mismatch === 0;
+}
+
+/**
+ * Derives a key from the given PIN and salt.
+ *
+ * @param {string} pin - the PIN
+ * @param {string} salt - hex encoded salt
+ * @param {int} rounds - number of PBKDF2 iterations
+ * @returns {Q} promise - a promise containing the hex encoded key
+ */
+function derive(pin, salt, rounds) {
+  var pbkdf2 = Q.denodeify(crypto.pbkdf2);
+
+  return pbkdf2(String(pin), salt, rounds, keyBytes, digest)
+    .then(function(key) {
+      return key.toString('hex');
+    });
+}
+
+/**
+ * Returns whether the given stored PIN is hashed.
+ *
+ * @param {string} stored - the PIN stored for the mailbox
+ * @returns {boolean} hashed - false if the PIN is stored in plain text
+ */
+function isHashed(stored) {
+  return String(stored || '').split('$')[0] === scheme;
+}
+
+/**
+ * Hashes the given PIN with a new random salt.
+ *
+ * @param {string} pin - the PIN
+ * @returns {Q} promise - a promise containing the value to store
+ */
+function hash(pin) {
+  var salt = crypto.randomBytes(saltBytes).toString('hex');
+
+  return derive(pin, salt, iterations)
+    .then(function(key) {
+      return util.format('%s$%d$%s$%s', scheme, iterations, salt, key);
+    });
+}
+
+/**
+ * Checks the given PIN against the given stored PIN, which may be hashed or
+ * a legacy plain text PIN.
+ *
+ * @param {string} stored - the PIN stored for the mailbox
+ * @param {string} pin - the PIN entered by the caller
+ * @returns {Q} promise - a promise containing whether the PIN matches
+ */
+function verify(stored, pin) {
+  stored = String(stored || '');
+  pin = String(pin || '');
+
+  // never match a mailbox without a PIN
+  if (!stored) {
+    return Q.when(false);
+  }
+
+  if (!isHashed(stored)) {
+    return Q.when(equals(stored, pin));
+  }
+
+  var parts = stored.split('$');
+
+  return derive(pin, parts[2], parseInt(parts[1], 10))
+    .then(function(key) {
+      return equals(parts[3], key);
+    });
+}
+
+/**
+ * Checks the given PIN the way a hashed PIN is checked without ever matching,
+ * so that PINs entered for unknown mailboxes take as long to reject as PINs
+ * entered for known mailboxes.
+ *
+ * @param {string} pin - the PIN entered by the caller
+ * @returns {Q} promise - a promise containing false
+ */
+function verifyUnknown(pin) {
+  var salt = new Array(saltBytes + 1).join('00');
+
+  return derive(String(pin || ''), salt, iterations)
+    .then(function(key) {
+      return false;
+    });
+}
+
+/**
+ * Checks whether the given PIN may be used as a new mailbox PIN.
+ *
+ * PINs must only contain digits, be at least minpassword digits long and
+ * must not repeat a single digit (1111), be a run of consecutive digits
+ * (1234, 9876) or be the mailbox number.
+ *
+ * @param {string} pin - the new PIN
+ * @param {Mailbox} mailbox - mailbox instance
+ * @param {object} mailboxConfig - the mailbox config
+ * @returns {string} reason - why the PIN was rejected
+ *   (notDigits|tooShort|banned), or null if the PIN is valid
+ */
+function validate(pin, mailbox, mailboxConfig) {
+  pin = String(pin || '');
+
+  var minLength = parseInt(mailboxConfig.minpassword, 10) ||
+                  defaultMinLength;
+
+  if (!/^\d+$/.test(pin)) {
+    return 'notDigits';
+  }
+
+  if (pin.length < minLength) {
+    return 'tooShort';
+  }
+
+  var steps = pin.split('').slice(1).map(function(digit, index) {
+    return (Number(digit) - Number(pin[index]) + 10) % 10;
+  });
+  var sameStep = steps.every(function(step) {
+    return step === steps[0];
+  });
+
+  // repeated digits or runs going up or down (wrapping from 9 to 0)
+  if (sameStep && [0, 1, 9].indexOf(steps[0]) !== -1) {
+    return 'banned';
+  }
+
+  if (pin === mailbox.mailboxNumber) {
+    return 'banned';
+  }
+
+  return null;
+}
+
+/**
+ * Returns module functions.
+ *
+ * @returns {object} module - module functions
+ */
+module.exports = {
+  isHashed: isHashed,
+  hash: hash,
+  verify: verify,
+  verifyUnknown: verifyUnknown,
+  validate: validate
+};
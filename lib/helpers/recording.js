@@ -0,0 +1,476 @@
+/**
+ * Recording helper for the finite state machines that record a channel and
+ * let the caller review the recording (the writer and the greeting recorder).
+ *
+ * @module recording
+ *
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var Q = require('q');
+var util = require('util');
+
+/**
+ * Returns the options for a finite state machine that records the given
+ * channel, made of the methods and states shared by such machines and the
+ * given options. States in the given options add handlers to, or replace
+ * handlers of, the shared states.
+ *
+ * The given options must provide a getRecordingName(name) method returning
+ * the stored recording name to use for a live recording name and a
+ * getRecordOptions() method returning the options to record the channel
+ * with. Rerecording plays the reviewRerecord prompt, if configured, and then
+ * transitions to the given rerecordState.
+ *
+ * @param {Channel} channel - a channel instance
+ * @param {object} settings - object with the name of the prompts section
+ *   used (prompts) and the state recording again starts from
+ *   (rerecordState)
+ * @param {object} dependencies - object keyed by module dependencies
+ * @param {object} options - machina fsm options specific to the module
+ * @returns {object} options - machina fsm options
+ */
+function fsmOptions(channel, settings, dependencies, options) {
+  var shared = {
+    // hangs up the channel
+    hangup: function() {
+      dependencies.logger.trace('hangup called');
+
+      channel.hangup()
+        .catch(function(err) {
+          // ignore errors
+        });
+    },
+
+    // removes handler for channel hanging up
+    removeHangupHandler: function() {
+      if (this.currentHangupHandler) {
+        dependencies.logger.trace('Removing hangupHandler');
+
+        channel.removeListener('StasisEnd', this.currentHangupHandler);
+        this.currentHangupHandler = null;
+      }
+    },
+
+    // handler for recording being finished
+    recordingHandler: function(event, recording) {
+      dependencies.logger.trace('recordingHandler called');
+
+      dependencies.logger.debug({
+        recording: recording
+      }, 'RecordingFinished received');
+
+      // store recording to get duration for save operation
+      this.recording = recording;
+
+      if (this.cancelled) {
+        this.transition('done');
+      } else {
+        this.transition('recordingFinished');
+        this.emit('RecordingFinished');
+      }
+    },
+
+    // removes handler for recording being finished
+    removeRecordingHandler: function() {
+      if (this.currentRecordingHandler) {
+        dependencies.logger.trace('Removing recordingHandler');
+
+        this.liveRecording.removeListener('RecordingFinished',
+                                          this.currentRecordingHandler);
+        this.currentRecordingHandler = null;
+      }
+    },
+
+    // returns the configured sounds for the given prompt
+    getSounds: function(name) {
+      return dependencies
+        .config
+        .getAppConfig()
+        .prompts[settings.prompts][name] || [];
+    },
+
+    // plays the given prompt, replacing the current one
+    playPrompt: function(name, replacements) {
+      this.stopPrompt();
+
+      this.currentPrompt = dependencies.prompt.create(
+          this.getSounds(name), channel, replacements);
+
+      return this.currentPrompt.play();
+    },
+
+    // stops the prompt currently playing, if any
+    stopPrompt: function() {
+      if (this.currentPrompt) {
+        this.currentPrompt.stop();
+        this.currentPrompt = null;
+      }
+    },
+
+    // deletes the recording currently held
+    deleteRecording: function() {
+      var deleteStored = Q.denodeify(
+        this.client.recordings.deleteStored.bind(this.client)
+      );
+
+      return deleteStored({recordingName: this.recording.name});
+    },
+
+    states: {
+      // recording the channel
+      'recording': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In recording');
+
+          // only listen for the recording we are about to start
+          this.removeRecordingHandler();
+
+          this.recording = this.client.LiveRecording();
+          this.liveRecording = this.recording;
+          this.recording.name = this.getRecordingName(this.recording.name);
+
+          var record = Q.denodeify(channel.record.bind(channel));
+
+          record(this.getRecordOptions(), this.recording)
+            .then(function(recording) {
+              dependencies.logger.debug({
+                recording: recording
+              }, 'Recording channel');
+
+              self.emit('RecordingStarted');
+            })
+            .catch(function(err) {
+              self.emit('Error', err);
+              self.transition('done');
+            });
+
+          this.currentRecordingHandler = this.recordingHandler.bind(this);
+          this.recording.on('RecordingFinished', this.currentRecordingHandler);
+        },
+
+        stop: function() {
+          dependencies.logger.trace('stop called');
+
+          this.transition('stoppingRecording');
+        }
+      },
+
+      'stoppingRecording': {
+        _onEnter: function() {
+          dependencies.logger.trace('In stoppingRecording');
+
+          var self = this;
+          var stop = Q.denodeify(this.recording.stop.bind(this.recording));
+
+          stop()
+            .catch(function(err) {
+              self.emit('Error', err);
+              self.transition('done');
+            });
+        }
+      },
+
+      // recording finished
+      'recordingFinished': {
+        _onEnter: function() {
+          dependencies.logger.trace('In recordingFinished');
+        },
+
+        save: function() {
+          dependencies.logger.trace('save called');
+
+          this.transition('savingRecording');
+        },
+
+        review: function() {
+          dependencies.logger.trace('review called');
+
+          this.transition('reviewing');
+        }
+      },
+
+      // reviewing a finished recording
+      'reviewing': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In reviewing');
+
+          this.playPrompt('reviewMenu')
+            .then(function(played) {
+              self.emit('ReviewMenuPlayed');
+            })
+            .catch(function(err) {
+              self.emit('Error', err);
+            });
+        },
+
+        listen: function() {
+          var self = this;
+
+          dependencies.logger.trace('listen called');
+
+          this.playPrompt('reviewPlayback', {recording: this.recording.name})
+            .then(function(played) {
+              self.emit('RecordingPlayed');
+            })
+            .catch(function(err) {
+              self.emit('Error', err);
+            });
+        },
+
+        rerecord: function() {
+          dependencies.logger.trace('rerecord called');
+
+          this.stopPrompt();
+          this.transition('deletingRecording');
+        },
+
+        save: function() {
+          dependencies.logger.trace('save called');
+
+          this.stopPrompt();
+          this.transition('accepting');
+        },
+
+        stop: function() {
+          dependencies.logger.trace('stop called');
+
+          this.stopPrompt();
+        }
+      },
+
+      // confirming a reviewed recording is about to be saved
+      'accepting': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In accepting');
+
+          this.playPrompt('reviewAccepted')
+            .then(function(played) {
+              // the channel may have hung up in the meantime
+              if (self.state !== 'done') {
+                self.transition(self.cancelled ? 'done' : 'savingRecording');
+              }
+            })
+            .catch(function(err) {
+              self.emit('Error', err);
+              self.transition('done');
+            });
+        },
+
+        // the recording is already being saved (e.g. accept key pressed twice)
+        save: function() {
+          dependencies.logger.trace('save called');
+        }
+      },
+
+      // deleting a recording in order to record it again
+      'deletingRecording': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In deletingRecording');
+
+          this.deleteRecording()
+            .then(function() {
+              dependencies.logger.debug({
+                recording: self.recording.name
+              }, 'Recording deleted');
+
+              if (self.getSounds('reviewRerecord').length) {
+                return self.playPrompt('reviewRerecord');
+              }
+            })
+            .then(function() {
+              if (self.state !== 'done') {
+                self.transition(settings.rerecordState);
+              }
+            })
+            .catch(function(err) {
+              self.emit('Error', err);
+              self.transition('done');
+            });
+        },
+
+        stop: function() {
+          dependencies.logger.trace('stop called');
+
+          this.stopPrompt();
+        }
+      }
+    }
+  };
+
+  var result = {};
+
+  Object.keys(shared).concat(Object.keys(options)).forEach(function(key) {
+    if (key !== 'states') {
+      result[key] = options.hasOwnProperty(key) ? options[key] : shared[key];
+    }
+  });
+
+  result.states = {};
+  [shared.states, options.states].forEach(function(states) {
+    Object.keys(states).forEach(function(name) {
+      var state = result.states[name] = result.states[name] || {};
+
+      Object.keys(states[name]).forEach(function(inputType) {
+        state[inputType] = states[name][inputType];
+      });
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Returns the api operations shared by the objects returned by modules
+ * recording a channel.
+ *
+ * @param {machina.Fsm} state - finite state machine driving the api
+ * @param {string} savedEvent - the fsm event signaling the recording was
+ *   saved
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {object} api - api operations
+ */
+function api(state, savedEvent, dependencies) {
+  return {
+    record: function() {
+      dependencies.logger.trace('record called');
+
+      return handleAndWait(state, 'record', 'RecordingFinished',
+                           dependencies);
+    },
+
+    stop: function() {
+      dependencies.logger.trace('stop called');
+
+      process.nextTick(function() {
+        state.handle('stop');
+      });
+    },
+
+    review: function() {
+      dependencies.logger.trace('review called');
+
+      return handleAndWait(state, 'review', 'ReviewMenuPlayed', dependencies);
+    },
+
+    listen: function() {
+      dependencies.logger.trace('listen called');
+
+      return handleAndWait(state, 'listen', 'RecordingPlayed', dependencies);
+    },
+
+    rerecord: function() {
+      dependencies.logger.trace('rerecord called');
+
+      return handleAndWait(state, 'rerecord', 'RecordingFinished',
+                           dependencies);
+    },
+
+    save: function() {
+      dependencies.logger.trace('save called');
+
+      return handleAndWait(state, 'save', savedEvent, dependencies);
+    }
+  };
+}
+
+/**
+ * Passes the given input to the fsm and returns a promise that is resolved
+ * once the fsm emits the given event or rejected if it emits an error, has no
+ * handler for the input in its current state or is done (e.g. the channel
+ * hung up) before emitting the event. The promise is resolved with the first
+ * argument passed along with the event.
+ *
+ * @param {machina.Fsm} state - finite state machine to pass the input to
+ * @param {string} inputType - the fsm input to handle
+ * @param {string} eventName - the fsm event signaling success
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {Q} promise - a promise
+ */
+function handleAndWait(state, inputType, eventName, dependencies) {
+  var deferred = Q.defer();
+  // identifies this input when the fsm has no handler for it
+  var request = {};
+
+  if (state.state === 'done') {
+    return Q.reject(new Error(util.format(
+      'Cannot handle %s once done', inputType)));
+  }
+
+  state.on(eventName, onSuccess);
+  state.on('Error', onError);
+  state.on('transition', onTransition);
+  state.on('nohandler', onNoHandler);
+
+  process.nextTick(function() {
+    state.handle(inputType, request);
+  });
+
+  return deferred.promise;
+
+  function onSuccess(value) {
+    dependencies.logger.trace('Received %s from fsm', eventName);
+
+    removeListeners();
+    deferred.resolve(value);
+  }
+
+  function onError(err) {
+    dependencies.logger.trace('Received Error from fsm');
+
+    removeListeners();
+    deferred.reject(err);
+  }
+
+  function onTransition(data) {
+    if (data.toState === 'done') {
+      dependencies.logger.trace('fsm done before %s', eventName);
+
+      removeListeners();
+      deferred.reject(new Error(util.format(
+        'Done before %s completed', inputType)));
+    }
+  }
+
+  function onNoHandler(data) {
+    if (data.args.indexOf(request) !== -1) {
+      dependencies.logger.trace('Received nohandler from fsm');
+
+      removeListeners();
+      deferred.reject(new Error(util.format(
+        'Cannot handle %s in state %s', inputType, state.state)));
+    }
+  }
+
+  function removeListeners() {
+    dependencies.logger.trace('Removing fsm event handlers');
+
+    state.off(eventName, onSuccess);
+    state.off('Error', onError);
+    state.off('transition', onTransition);
+    state.off('nohandler', onNoHandler);
+  }
+}
+
+/**
+ * Returns module functions.
+ *
+ * @returns {object} module - module functions
+ */
+module.exports = {
+  fsmOptions: fsmOptions,
+  api: api,
+  handleAndWait: handleAndWait
+};
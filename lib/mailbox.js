@@ -11,6 +11,11 @@
 
 var reader = require('./reader.js');
 var writer = require('./writer.js');
+var recorder = require('./recorder.js');
+var authenticator = require('./authenticator.js');
+var manager = require('./manager.js');
+var server = require('./server.js');
+var errors = require('./errors.js');
 
 /**
  * Returns module functions.
@@ -26,6 +31,27 @@ module.exports = function(dependencies) {
 
     createWriter: function(mailbox, channel) {
       return writer.create(mailbox, channel, dependencies);
+    },
+
+    createGreetingRecorder: function(mailbox, channel, type) {
+      return recorder.create(mailbox, channel, type, dependencies);
+    },
+
+    createAuthenticator: function(channel, context) {
+      return authenticator.create(channel, context, dependencies);
+    },
+
+    createManager: function(mailbox) {
+      return manager.create(mailbox, dependencies);
+    },
+
+    createServer: function(authorize) {
+      return server.create(authorize, dependencies);
     }
   };
 };
+
+/**
+ * Error types that may be returned by the mailbox helpers.
+ */
+module.exports.errors = errors;
@@ -0,0 +1,223 @@
+/**
+ * Mailbox Manager module for Asterisk voicemail.
+ *
+ * @module tests-context
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var Q = require('q');
+var util = require('util');
+var errors = require('./errors.js');
+var actions = require('./helpers/actions.js');
+
+/**
+ * Returns a manager object that can be used to manage the messages of a
+ * mailbox without a channel (e.g. from a web portal).
+ *
+ * @param {Mailbox} mailbox - a mailbox instance
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {object} api - api for managing mailbox messages
+ */
+function create(mailbox, dependencies) {
+  dependencies.logger = dependencies.logger.child({
+    component: 'voicemail-mailbox-manager'
+  });
+
+  var folders;
+
+  var api = {
+    /**
+     * Returns the messages in the folder for the given dtmf option. Only a
+     * page of messages is returned when an offset or limit is given.
+     *
+     * @param {string} option - dtmf key of the folder
+     * @param {object} page - optional offset, limit and sort mode
+     * @returns {Q} promise - a promise containing an array of messages
+     */
+    list: function(option, page) {
+      dependencies.logger.trace('list called');
+
+      return getFolder(option)
+        .then(function(folder) {
+          if (page) {
+            return dependencies.dal.message.page(mailbox, folder, page);
+          }
+
+          return dependencies.dal.message.all(mailbox, folder);
+        });
+    },
+
+    /**
+     * Returns the number of messages in the folder for the given dtmf option.
+     *
+     * @param {string} option - dtmf key of the folder
+     * @returns {Q} promise - a promise containing the message count
+     */
+    count: function(option) {
+      dependencies.logger.trace('count called');
+
+      return getFolder(option)
+        .then(function(folder) {
+          return dependencies.dal.message.count(mailbox, folder);
+        });
+    },
+
+    /**
+     * Returns the metadata of the given message, refreshed from the db.
+     *
+     * @param {Message} message - a message instance
+     * @returns {Q} promise - a promise containing the message metadata
+     */
+    getMetadata: function(message) {
+      dependencies.logger.trace('getMetadata called');
+
+      return getMessage(message)
+        .then(toMetadata);
+    },
+
+    /**
+     * Moves the given message to the folder for the given dtmf option.
+     *
+     * @param {Message} message - a message instance
+     * @param {string} option - dtmf key of the destination folder
+     * @returns {Q} promise - a promise containing the moved message
+     */
+    move: function(message, option) {
+      dependencies.logger.trace('move called');
+
+      return Q.all([getMessage(message), getFolder(option)])
+        .spread(function(instance, folder) {
+          return actions.move(mailbox, instance, folder, dependencies);
+        });
+    },
+
+    /**
+     * Permanently deletes the given message along with its recordings.
+     *
+     * @param {Message} message - a message instance
+     * @returns {Q} promise - a promise resolved once the message is deleted
+     */
+    'delete': function(message) {
+      dependencies.logger.trace('delete called');
+
+      return getMessage(message)
+        .then(function(instance) {
+          return actions.destroy(mailbox, instance, dependencies);
+        });
+    },
+
+    /**
+     * Marks the given message as read, saving it to the Old folder.
+     *
+     * @param {Message} message - a message instance
+     * @returns {Q} promise - a promise containing true if the message was
+     *   unread
+     */
+    markRead: function(message) {
+      dependencies.logger.trace('markRead called');
+
+      return Q.all([getMessage(message), getFolder('1')])
+        .spread(function(instance, old) {
+          return actions.markAsRead(mailbox, instance, old, dependencies);
+        });
+    },
+
+    /**
+     * Marks the given message as unread, saving it to the INBOX.
+     *
+     * @param {Message} message - a message instance
+     * @returns {Q} promise - a promise resolved once the message is unread
+     */
+    markUnread: function(message) {
+      dependencies.logger.trace('markUnread called');
+
+      return Q.all([getMessage(message), getFolder('0')])
+        .spread(function(instance, inbox) {
+          return actions.markAsUnread(mailbox, instance, inbox, dependencies);
+        });
+    }
+  };
+
+  /**
+   * Returns the folder for the given dtmf option, loading the folders the
+   * first time.
+   *
+   * @param {string} option - dtmf key of the folder
+   * @returns {Q} promise - a promise containing the folder
+   */
+  function getFolder(option) {
+    if (!folders) {
+      folders = dependencies.dal.folder.all();
+    }
+
+    return folders
+      .then(function(loaded) {
+        var folder = loaded[option];
+
+        if (!folder) {
+          throw new errors.FolderNotFoundError(util.format(
+            'Invalid folder: %s', option));
+        }
+
+        return folder;
+      });
+  }
+
+  /**
+   * Returns the given message refreshed from the db, as long as it belongs
+   * to the mailbox being managed.
+   *
+   * @param {Message} message - a message instance
+   * @returns {Q} promise - a promise containing the message
+   */
+  function getMessage(message) {
+    return dependencies.dal.message.get(message)
+      .then(function(instance) {
+        // messages of other mailboxes are treated as missing
+        if (!instance ||
+            instance.getMailbox().getId() !== mailbox.getId()) {
+          throw new errors.MessageNotFoundError(util.format(
+            'Message %s does not exist', message.getId()));
+        }
+
+        return instance;
+      });
+  }
+
+  dependencies.logger.info('Voicemail mailbox manager created');
+
+  return api;
+}
+
+/**
+ * Returns the metadata of the given message.
+ *
+ * @param {Message} message - a message instance
+ * @returns {object} metadata - the message metadata
+ */
+function toMetadata(message) {
+  return {
+    id: message.getId(),
+    folder: message.getFolder().name,
+    date: message.date.format(),
+    callerId: message.callerId,
+    duration: message.duration,
+    recording: message.recording,
+    urgent: !!message.urgent,
+    read: !!message.read
+  };
+}
+
+/**
+ * Returns module functions.
+ *
+ * @returns {object} module - module functions
+ */
+module.exports = {
+  create: create,
+  toMetadata: toMetadata
+};
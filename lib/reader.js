@@ -10,9 +10,31 @@
 'use strict';
 
 var Q = require('q');
+var crypto = require('crypto');
+var ari = require('ari-client-wrapper');
 var machina = require('machina');
 var util = require('util');
+var errors = require('./errors.js');
 var messagesHelper = require('./helpers/messages.js');
+var mwi = require('./helpers/mwi.js');
+var bus = require('./helpers/bus.js');
+var lifecycle = require('./helpers/lifecycle.js');
+var pin = require('./helpers/pin.js');
+var greetingsHelper = require('./helpers/greetings.js');
+var dependenciesHelper = require('./helpers/dependencies.js');
+var recorder = require('./recorder.js');
+
+// seconds skipped by ARI forward/reverse operations when the mailbox does not
+// configure skip_seconds (Asterisk's default skipms for playbacks)
+var defaultSkipSeconds = 3;
+// maximum volume change, in steps, applied to the channel
+var maxVolume = 10;
+// greetings recorded from the options menu, keyed by option
+var greetingOptions = {
+  '1': 'unavailable',
+  '2': 'busy',
+  '3': 'name'
+};
 
 /**
  * Returns a new finite state machine instance for the given channel and
@@ -63,13 +85,19 @@ function fsm(mailbox, channel, dependencies) {
       var sounds = this.messages.calculateMenu();
       var menu = [];
 
+      // announce messages that arrived since the last menu
+      if (this.newMessageArrived) {
+        this.newMessageArrived = false;
+        sounds = ['newMessage'].concat(sounds);
+      }
+
       sounds.forEach(function(sound) {
         var part = dependencies
           .config
           .getAppConfig()
           .prompts
           .mailboxReader[sound];
-        menu = menu.concat(part);
+        menu = menu.concat(part || []);
       });
 
       dependencies.logger.debug({
@@ -122,16 +150,499 @@ function fsm(mailbox, channel, dependencies) {
             });
     },
 
-    // Returns a sounds array for use in playing a change folder menu
+    // Returns a prompt for use in playing a change folder menu built from
+    // the folders available to the mailbox
     getChangeFolderMenu: function() {
+      var self = this;
+
+      var readerPrompts = dependencies
+        .config
+        .getAppConfig()
+        .prompts
+        .mailboxReader;
+      var sounds = [].concat(readerPrompts.changeFolder || []);
+
+      Object.keys(this.folders).sort().forEach(function(key) {
+        var folder = self.folders[key];
+        var option = (readerPrompts.changeFolderOption || []).map(
+            function(part) {
+          var copy = {};
+
+          Object.keys(part).forEach(function(field) {
+            copy[field] = part[field];
+          });
+
+          if (typeof copy.sound === 'string') {
+            copy.sound = copy.sound
+              .replace('{dtmf}', folder.dtmf)
+              .replace('{folder}', folder.recording);
+          }
+
+          return copy;
+        });
+
+        sounds = sounds.concat(option);
+      });
+
+      return dependencies.prompt.create(sounds, channel);
+    },
+
+    // returns the folder for the given dtmf option if one exists
+    getFolder: function(option) {
+      var self = this;
+
+      return Object.keys(this.folders)
+        .filter(function(key) {
+          return key === option;
+        })
+        .map(function(key) {
+          return self.folders[key];
+        })[0];
+    },
+
+    // plays the given reader prompts one after the other, replacing the
+    // current prompt
+    playPrompts: function(names) {
+      var readerPrompts = dependencies
+        .config
+        .getAppConfig()
+        .prompts
+        .mailboxReader;
+      var sounds = [];
+
+      if (this.currentPrompt) {
+        this.currentPrompt.stop();
+      }
+
+      names.forEach(function(name) {
+        sounds = sounds.concat(readerPrompts[name] || []);
+      });
+
+      this.currentPrompt = dependencies.prompt.create(sounds, channel);
+
+      return this.currentPrompt.play();
+    },
+
+    // plays the given reader prompts for the given request, settling it once
+    // they finish
+    playPromptsFor: function(request, names) {
+      var self = this;
+
+      this.playPrompts(names)
+        .then(function(played) {
+          self.settle(request, played);
+        })
+        .catch(function(err) {
+          dependencies.logger.error({
+            err: err
+          }, 'Error playing prompt');
+
+          self.fail(request, err);
+        });
+    },
+
+    // plays the given reader prompt once an operation has finished, then
+    // plays the menu if the prompt played to the end
+    playOutcome: function(name, replacements) {
+      var self = this;
+      var sounds = dependencies
+        .config
+        .getAppConfig()
+        .prompts
+        .mailboxReader[name];
+
+      this.currentPrompt = dependencies.prompt.create(sounds, channel,
+                                                      replacements);
+
+      return this.currentPrompt.play()
+        .then(function(played) {
+          if (played) {
+            self.handle('menu');
+          } else {
+            self.transition('ready');
+          }
+
+          return played;
+        });
+    },
+
+    // plays the options menu and waits for an option
+    enterOptions: function(request) {
+      this.playPromptsFor(request, ['optionsMenu']);
+      this.transition('options');
+    },
+
+    // asks for a new pin, returning to the options menu afterwards if
+    // fromOptions is true
+    startPinChange: function(request, fromOptions) {
+      this.pinFromOptions = !!fromOptions;
+      this.playPromptsFor(request, ['newPin']);
+      this.transition('changingPin');
+    },
+
+    // returns to the menu the pin change was started from
+    leavePinMenu: function() {
+      this.newPin = null;
+
+      if (this.pinFromOptions) {
+        this.enterOptions();
+      } else {
+        this.transition('intro');
+      }
+    },
+
+    // returns a greeting recorder for the given greeting type
+    createGreetingRecorder: function(type) {
+      return recorder.create(mailbox, channel, type,
+                             dependenciesHelper.copy(dependencies));
+    },
+
+    // records a greeting and plays the review menu once recording finishes
+    recordGreeting: function(start) {
+      var self = this;
+      var greetingRecorder = this.greetingRecorder;
+
+      this.greetingRecorded = false;
+      this.greetingReviewed = start.call(greetingRecorder)
+        .then(function() {
+          self.greetingRecorded = true;
+
+          return greetingRecorder.review();
+        })
+        .catch(function(err) {
+          dependencies.logger.error({
+            err: err
+          }, 'Error recording greeting');
+
+          if (self.greetingRecorder === greetingRecorder) {
+            self.greetingRecorder = null;
+            self.enterOptions();
+          }
+
+          throw err;
+        });
+    },
+
+    // discards the greeting being recorded, if any
+    discardGreeting: function() {
+      if (this.greetingRecorder) {
+        this.greetingRecorder.cancel()
+          .catch(function(err) {
+            dependencies.logger.error({
+              err: err
+            }, 'Error discarding greeting');
+          });
+        this.greetingRecorder = null;
+      }
+    },
+
+    // plays the temporary greeting menu, which depends on whether a temporary
+    // greeting has been recorded
+    playTemporaryGreetingMenu: function(request) {
+      var self = this;
+
+      this.greetings.exists('temporary')
+        .then(function(exists) {
+          self.temporaryGreetingExists = exists;
+          self.playPromptsFor(request, [exists ?
+                                        'temporaryGreetingOn' :
+                                        'temporaryGreetingOff']);
+        })
+        .catch(function(err) {
+          self.fail(request, err);
+        });
+    },
+
+    // lets the caller of the given request know that it finished with the
+    // given result (for requests that only play a prompt, the result is false
+    // if the prompt was interrupted)
+    settle: function(request, result) {
+      if (request) {
+        this.emit('RequestSettled', request, result);
+      }
+    },
+
+    // lets the caller of the given request know that it failed
+    fail: function(request, err) {
+      if (request) {
+        this.emit('RequestFailed', request, err);
+      }
+    },
+
+    // handler for messages saved to this mailbox while the reader is active
+    messageSavedHandler: function(message) {
+      dependencies.logger.trace('messageSavedHandler called');
+
+      // new messages are only saved to the INBOX
+      if (this.messages &&
+          this.messages.getCurrentFolder() === this.folders[0]) {
+        dependencies.logger.debug({
+          message: message
+        }, 'Adding new message');
+
+        this.messages.add(message);
+      }
+
+      this.newMessageArrived = true;
+    },
+
+    // removes handler for messages saved to this mailbox
+    removeMessageSavedHandler: function() {
+      if (this.currentMessageSavedHandler) {
+        dependencies.logger.trace('Removing messageSavedHandler');
+
+        bus.unsubscribe(mailbox, 'MessageSaved',
+                        this.currentMessageSavedHandler);
+        this.currentMessageSavedHandler = null;
+      }
+    },
+
+    // handler for playbacks starting on the ARI client, used to keep track
+    // of the playback of the message currently being played
+    playbackHandler: function(event, playback) {
+      var message = this.playingMessage;
+
+      if (message &&
+          playback['target_uri'] === util.format('channel:%s', channel.id) &&
+          playback['media_uri'] === util.format('recording:%s',
+                                                message.recording)) {
+        dependencies.logger.debug({
+          playbackId: playback.id
+        }, 'Message playback started');
+
+        this.messagePlayback = playback;
+        // position (in seconds) the current stretch of playback started at,
+        // when it started (null while paused) and the stretches heard so far
+        this.progress = {
+          position: 0,
+          playingSince: Date.now(),
+          heard: []
+        };
+      }
+    },
+
+    // returns the number of seconds forward/reverse skip within a message
+    getSkipSeconds: function() {
+      return Number(this.messages.getConfig()['skip_seconds']) ||
+             defaultSkipSeconds;
+    },
+
+    // returns the current position (in seconds) within the message playback
+    getPosition: function() {
+      var progress = this.progress;
+      var playing = progress.playingSince ?
+        (Date.now() - progress.playingSince) / 1000 :
+        0;
+
+      return progress.position + playing;
+    },
+
+    // keeps track of the position within the message as the given control
+    // operation moves it, remembering the stretches played so far
+    updateProgress: function(operation) {
+      var progress = this.progress;
+
+      if (!progress) {
+        return;
+      }
+
+      var position = this.getPosition();
+
+      if (progress.playingSince) {
+        progress.heard.push([progress.position, position]);
+      }
+
+      switch (operation) {
+        case 'pause':
+          progress.playingSince = null;
+          break;
+        case 'unpause':
+          progress.playingSince = Date.now();
+          break;
+        case 'forward':
+          position += this.getSkipSeconds();
+          break;
+        case 'reverse':
+          position = Math.max(0, position - this.getSkipSeconds());
+          break;
+        case 'restart':
+          position = 0;
+          break;
+      }
+
+      progress.position = position;
+      if (progress.playingSince) {
+        progress.playingSince = Date.now();
+      }
+    },
+
+    // returns the number of seconds of the message heard so far, counting
+    // stretches played more than once (after a reverse or a restart) only
+    // once, or null if the message playback was never seen starting
+    getHeardSeconds: function() {
+      var progress = this.progress;
+
+      if (!progress) {
+        return null;
+      }
+
+      var stretches = progress.heard.slice();
+      if (progress.playingSince) {
+        stretches.push([progress.position, this.getPosition()]);
+      }
+
+      stretches.sort(function(a, b) {
+        return a[0] - b[0];
+      });
+
+      var heard = 0;
+      var end = 0;
+
+      stretches.forEach(function(stretch) {
+        var start = Math.max(stretch[0], end);
+
+        if (stretch[1] > start) {
+          heard += stretch[1] - start;
+          end = stretch[1];
+        }
+      });
+
+      return heard;
+    },
+
+    // removes handler for playbacks starting
+    removePlaybackHandler: function() {
+      if (this.currentPlaybackHandler) {
+        dependencies.logger.trace('Removing playbackHandler');
+
+        this.client.removeListener('PlaybackStarted',
+                                   this.currentPlaybackHandler);
+        this.currentPlaybackHandler = null;
+      }
+    },
+
+    // performs the given ARI control operation on the message playback after
+    // any pending operations
+    controlPlayback: function(operation) {
+      dependencies.logger.trace('controlPlayback called');
+
+      var control = Q.denodeify(
+        this.client.playbacks.control.bind(this.client)
+      );
+      var playbackId = this.messagePlayback.id;
+
+      this.pendingControl = (this.pendingControl || Q.when())
+        .then(function() {
+          return control({playbackId: playbackId, operation: operation});
+        })
+        .catch(function(err) {
+          // playback may have finished in the meantime
+          dependencies.logger.debug({
+            err: err,
+            operation: operation
+          }, 'Error controlling playback');
+        });
+
+      return this.pendingControl;
+    },
+
+    // changes the volume heard on the channel by the given number of steps
+    changeVolume: function(steps) {
+      dependencies.logger.trace('changeVolume called');
+
+      var setChannelVar = Q.denodeify(channel.setChannelVar.bind(channel));
+
+      this.volume = Math.max(-maxVolume,
+                             Math.min(maxVolume, (this.volume || 0) + steps));
+
+      setChannelVar({
+        variable: 'VOLUME(TX)',
+        value: String(this.volume)
+      })
+      .catch(function(err) {
+        dependencies.logger.error({
+          err: err
+        }, 'Error changing volume');
+      });
+    },
+
+    // records a spoken comment to be stored with a forwarded message and
+    // returns a promise containing the name of the stored recording
+    recordComment: function(target) {
+      var self = this;
+      var client = this.client;
+
+      dependencies.logger.trace('recordComment called');
+
+      var deferred = Q.defer();
       var sounds = dependencies
         .config
         .getAppConfig()
         .prompts
         .mailboxReader
-        .changeFolder;
+        .forwardComment;
+
+      this.currentPrompt = dependencies.prompt.create(sounds, channel);
+
+      this.currentPrompt.play()
+        .then(function(played) {
+          return dependencies.config.getMailboxConfig(target);
+        })
+        .then(function(targetConfig) {
+          var recording = client.LiveRecording();
+          recording.name = util.format(
+            'voicemail/%s/%s',
+            target.getId(),
+            recording.name
+          );
+          var commentName = recording.name;
+
+          var record = Q.denodeify(channel.record.bind(channel));
+
+          recording.on('RecordingFinished', onFinished);
+
+          return record({
+            format: targetConfig['msg_format'],
+            maxDurationSeconds: targetConfig.maxsecs || 0,
+            maxSilenceSeconds: targetConfig.maxsilence || 0,
+            terminateOn: '#',
+            beep: true,
+            ifExists: 'fail'
+          }, recording);
+
+          function onFinished(event, finished) {
+            dependencies.logger.debug({
+              recording: commentName
+            }, 'Comment recorded');
+
+            recording.removeListener('RecordingFinished', onFinished);
+            deferred.resolve(commentName);
+          }
+        })
+        .catch(function(err) {
+          deferred.reject(err);
+        });
 
-      return dependencies.prompt.create(sounds, channel);
+      return deferred.promise;
+    },
+
+    // deletes the stored recordings with the given names, skipping empty
+    // names
+    deleteRecordings: function(names) {
+      var client = this.client;
+      var deleteStored = Q.denodeify(
+        client.recordings.deleteStored.bind(client)
+      );
+
+      names.filter(Boolean).forEach(function(name) {
+        deleteStored({recordingName: name})
+          .catch(function(err) {
+            dependencies.logger.error({
+              err: err,
+              recording: name
+            }, 'Error deleting recording');
+          });
+      });
     },
 
     states : {
@@ -142,9 +653,20 @@ function fsm(mailbox, channel, dependencies) {
 
           dependencies.logger.trace('In init');
 
-          dependencies.dal.folder.all()
+          var ariConfig = dependencies.config.getAppConfig().ari;
+          ari.getClient(ariConfig, ariConfig.applicationName)
+            .then(function(client) {
+              self.client = client;
+              self.greetings = greetingsHelper.create(mailbox, client,
+                                                      dependencies);
+              self.currentPlaybackHandler = self.playbackHandler.bind(self);
+              client.on('PlaybackStarted', self.currentPlaybackHandler);
+
+              return dependencies.dal.folder.all();
+            })
             .then(function(folders) {
               var inbox = folders[0];
+              self.folders = folders;
               self.messages = messagesHelper.create(mailbox, folders, inbox,
                                                     dependencies);
 
@@ -156,13 +678,18 @@ function fsm(mailbox, channel, dependencies) {
             .catch(function(err) {
               dependencies.logger.error({
                 err: err
-              }, 'Error loading folders/messages');
+              }, 'Error connecting to ARI/loading folders/messages');
 
               self.hangup();
             });
 
           this.currentHangupHandler = this.hangupHandler.bind(this);
           channel.on('StasisEnd', this.currentHangupHandler);
+
+          this.currentMessageSavedHandler =
+            this.messageSavedHandler.bind(this);
+          bus.subscribe(mailbox, 'MessageSaved',
+                        this.currentMessageSavedHandler);
         },
 
         '*': function() {
@@ -194,27 +721,34 @@ function fsm(mailbox, channel, dependencies) {
           dependencies.logger.trace('In ready');
         },
 
-        play: function(operation) {
+        volume: function(steps) {
+          dependencies.logger.trace('volume called');
+
+          this.changeVolume(steps);
+        },
+
+        play: function(operation, request) {
           var self = this;
 
           dependencies.logger.trace('play called');
 
           this.messages[operation]()
             .then(function(message) {
-              self.handle('playMessage', message);
+              self.handle('playMessage', message, request);
             })
             .catch(function(err) {
               dependencies.logger.error({
                 err: err
               }, 'Error running %s against messages', operation);
 
+              self.fail(request, err);
               self.hangup();
             });
 
             this.transition('fetching');
         },
 
-        'delete': function() {
+        'delete': function(request) {
           var self = this;
 
           dependencies.logger.trace('delete called');
@@ -224,6 +758,9 @@ function fsm(mailbox, channel, dependencies) {
           }
 
           this.messages.delete()
+            .then(function(message) {
+              self.emit('MessageDeleted', message);
+            })
             .catch(function(err) {
               // assume concurrent deletes
               dependencies.logger.error({
@@ -241,12 +778,84 @@ function fsm(mailbox, channel, dependencies) {
 
           this.currentPrompt.play()
             .then(function(played) {
+              self.settle(request, played);
+
               if (played) {
                 self.handle('menu');
-              } {
+              } else {
                 self.transition('ready');
               }
             })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'Error playing prompt');
+
+              self.fail(request, err);
+            });
+
+          this.transition('processing');
+        },
+
+        markUnread: function(request) {
+          var self = this;
+
+          dependencies.logger.trace('markUnread called');
+
+          if (this.currentPrompt) {
+            this.currentPrompt.stop();
+          }
+
+          this.messages.markAsUnread()
+            .then(function(changed) {
+              self.settle(request, changed);
+
+              return self.playOutcome(changed ?
+                                      'messageMarkedUnread' :
+                                      'markUnreadFailed');
+            }, function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'Error marking message as unread');
+
+              self.fail(request, err);
+
+              return self.playOutcome('markUnreadFailed');
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'Error playing prompt');
+            });
+
+          this.transition('processing');
+        },
+
+        undelete: function(request) {
+          var self = this;
+
+          dependencies.logger.trace('undelete called');
+
+          if (this.currentPrompt) {
+            this.currentPrompt.stop();
+          }
+
+          this.messages.undelete()
+            .then(function(restored) {
+              self.settle(request, restored);
+
+              return self.playOutcome(restored ?
+                                      'messageUndeleted' :
+                                      'undeleteFailed');
+            }, function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'Error undeleting message');
+
+              self.fail(request, err);
+
+              return self.playOutcome('undeleteFailed');
+            })
             .catch(function(err) {
               dependencies.logger.error({
                 err: err
@@ -282,71 +891,359 @@ function fsm(mailbox, channel, dependencies) {
           this.playMenu(false);
         },
 
-        changeFolder: function() {
+        changeFolder: function(request) {
+          var self = this;
+
           dependencies.logger.trace('changeFolder called');
 
           this.currentPrompt = this.getChangeFolderMenu();
 
           this.currentPrompt.play()
+            .then(function(played) {
+              self.settle(request, played);
+            })
             .catch(function(err) {
               dependencies.logger.error({
                 err: err
               }, 'Error playing prompt');
+
+              self.fail(request, err);
             });
 
           this.transition('changingFolder');
-        }
-      },
-
-      // fetching a message
-      'fetching': {
-        _onEnter: function() {
-          dependencies.logger.trace('In fetching');
         },
 
-        playMessage: function(message) {
-          var self = this;
+        changePin: function(request) {
+          dependencies.logger.trace('changePin called');
 
-          dependencies.logger.trace('playMessage called');
+          this.startPinChange(request);
+        },
 
-          var sounds;
-          var replacements;
-          var availableSounds = dependencies
-              .config
-              .getAppConfig()
-              .prompts
-              .mailboxReader;
+        options: function(request) {
+          dependencies.logger.trace('options called');
 
-          if (!message) {
-              sounds = availableSounds.noMore;
-          } else {
-            var order = this.messages.getOrder();
+          this.enterOptions(request);
+        },
 
-            if (order === 1) {
-              order = 'sound:vm-first';
-              sounds = availableSounds.messageInfoPre;
-            } else if (order === this.messages.getCount()) {
-              order = 'sound:vm-last';
-              sounds = availableSounds.messageInfoPre;
-            } else {
-              order = util.format('number:%s', order);
-              sounds = availableSounds.messageInfoPost;
-            }
+        save: function(option, request) {
+          var self = this;
+
+          dependencies.logger.trace('save called');
 
-            sounds = sounds.concat(availableSounds.message);
-            replacements = {
-              recording: message.recording,
-              order: order
-            };
+          if (this.currentPrompt) {
+            this.currentPrompt.stop();
           }
 
-          this.currentPrompt = dependencies.prompt.create(
-              sounds, channel, replacements);
+          var readerPrompts = dependencies
+            .config
+            .getAppConfig()
+            .prompts
+            .mailboxReader;
+          var folder = this.getFolder(option);
 
-          this.currentPrompt.play()
-            .then(function(played) {
-              if (played) {
+          if (!folder) {
+            this.fail(request, new Error(
+                util.format('Invalid folder option: %s', option)));
+
+            this.currentPrompt = dependencies.prompt.create(
+                readerPrompts.invalidFolder, channel);
+
+            this.currentPrompt.play()
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'Error playing prompt');
+              });
+
+            return;
+          }
+
+          this.messages.move(option)
+            .then(function() {
+              self.settle(request);
+
+              return self.playOutcome('messageSaved', {
+                folder: folder.recording
+              });
+            }, function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'Error moving message');
+
+              self.fail(request, err);
+
+              return self.playOutcome('saveFailed');
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'Error playing prompt');
+            });
+
+          this.transition('processing');
+        },
+
+        forward: function(mailboxNumber, comment, request) {
+          dependencies.logger.trace('forward called');
+
+          if (this.currentPrompt) {
+            this.currentPrompt.stop();
+          }
+
+          this.forwardTo = {
+            mailboxNumber: mailboxNumber,
+            comment: !!comment,
+            request: request
+          };
+          this.transition('forwarding');
+        }
+      },
+
+      // forwarding the current message to another mailbox
+      'forwarding': {
+        _onEnter: function() {
+          var self = this;
+          var forwardTo = this.forwardTo;
+          var client = this.client;
+          var message;
+          var target;
+          var forwarded;
+          var comment;
+          var copyName;
+          var saved = false;
+
+          dependencies.logger.trace('In forwarding');
+
+          var readerPrompts = dependencies
+            .config
+            .getAppConfig()
+            .prompts
+            .mailboxReader;
+
+          this.messages.current()
+            .then(function(current) {
+              if (!current) {
+                throw new Error('No current message to forward');
+              }
+
+              message = current;
+
+              return dependencies.dal.mailbox.get(forwardTo.mailboxNumber,
+                                                  mailbox.getContext());
+            })
+            .then(function(instance) {
+              if (!instance) {
+                throw new errors.MailboxNotFoundError(util.format(
+                    'Mailbox %s not found', forwardTo.mailboxNumber));
+              }
+
+              target = instance;
+
+              if (forwardTo.comment) {
+                return self.recordComment(target);
+              }
+            })
+            .then(function(recorded) {
+              var copyStored = Q.denodeify(
+                client.recordings.copyStored.bind(client)
+              );
+              var name = util.format('voicemail/%s/%s', target.getId(),
+                                     recordingName());
+
+              comment = recorded;
+
+              return copyStored({
+                recordingName: message.recording,
+                destinationRecordingName: name
+              })
+              .then(function() {
+                copyName = name;
+              });
+            })
+            .then(function() {
+              return dependencies.dal.folder.all();
+            })
+            .then(function(folders) {
+              var inbox = folders['0'];
+              forwarded = dependencies.dal.message.create(
+                target,
+                inbox,
+                {
+                  recording: copyName,
+                  duration: message.duration,
+                  callerId: message.callerId,
+                  urgent: !!message.urgent,
+                  intro: comment
+                }
+              );
+              forwarded.init();
+
+              dependencies.logger.debug({
+                message: forwarded
+              }, 'Saving forwarded message');
+
+              return dependencies.dal.message.save(forwarded);
+            })
+            .then(function() {
+              saved = true;
+
+              return mwi.inboxCounts(target, dependencies);
+            })
+            .then(function(counts) {
+              var notifier = dependencies.notify.create(target, forwarded);
+
+              return notifier.newMessage(counts);
+            })
+            .then(function() {
+              bus.publish(target, 'MessageSaved', forwarded);
+
+              self.settle(forwardTo.request);
+              self.transition('processing');
+
+              self.currentPrompt = dependencies.prompt.create(
+                  readerPrompts.messageForwarded, channel);
+
+              return self.currentPrompt.play()
+                .then(function(played) {
+                  if (played) {
+                    self.handle('menu');
+                  } else {
+                    self.transition('ready');
+                  }
+                });
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'Error forwarding message');
+
+              // remove the recordings of a forwarded message never saved
+              if (!saved) {
+                self.deleteRecordings([comment, copyName]);
+              }
+
+              self.fail(forwardTo.request, err);
+              self.transition('processing');
+
+              var sounds = err instanceof errors.MailboxNotFoundError ?
+                readerPrompts.invalidMailbox :
+                readerPrompts.forwardFailed;
+              self.currentPrompt = dependencies.prompt.create(sounds,
+                                                              channel);
+
+              self.currentPrompt.play()
+                .then(function(played) {
+                  if (played) {
+                    self.handle('menu');
+                  } else {
+                    self.transition('ready');
+                  }
+                })
+                .catch(function(err) {
+                  dependencies.logger.error({
+                    err: err
+                  }, 'Error playing prompt');
+                });
+            });
+        },
+
+        '*': function() {
+          dependencies.logger.trace('Deferring action until ready');
+
+          this.deferUntilTransition('ready');
+        }
+      },
+
+      // fetching a message
+      'fetching': {
+        _onEnter: function() {
+          dependencies.logger.trace('In fetching');
+        },
+
+        playMessage: function(message, request) {
+          var self = this;
+
+          dependencies.logger.trace('playMessage called');
+
+          var sounds;
+          var replacements;
+          var availableSounds = dependencies
+              .config
+              .getAppConfig()
+              .prompts
+              .mailboxReader;
+
+          if (!message) {
+              sounds = availableSounds.noMore;
+          } else {
+            var order = this.messages.getOrder();
+
+            if (order === 1) {
+              order = 'sound:vm-first';
+              sounds = availableSounds.messageInfoPre;
+            } else if (order === this.messages.getCount()) {
+              order = 'sound:vm-last';
+              sounds = availableSounds.messageInfoPre;
+            } else {
+              order = util.format('number:%s', order);
+              sounds = availableSounds.messageInfoPost;
+            }
+
+            var envelope = this.messages.calculateEnvelope(message);
+
+            envelope.sounds.forEach(function(sound) {
+              sounds = sounds.concat(availableSounds[sound] || []);
+            });
+
+            // play the comment left by whoever forwarded the message
+            if (message.intro) {
+              sounds = sounds.concat(availableSounds.messageIntro);
+            }
+
+            // forward/reverse skip by skip_seconds within the message
+            var skipms = this.getSkipSeconds() * 1000;
+
+            sounds = sounds.concat(availableSounds.message.map(function(sound) {
+              return withSkip(sound, skipms);
+            }));
+            replacements = envelope.replacements;
+            replacements.recording = message.recording;
+            replacements.intro = message.intro;
+            replacements.order = order;
+          }
+
+          this.message = message;
+          this.playingMessage = message;
+          this.messagePlayback = null;
+          this.progress = null;
+          this.currentPrompt = dependencies.prompt.create(
+              sounds, channel, replacements);
+
+          this.currentPrompt.play()
+            .then(function(played) {
+              var heardSeconds = self.getHeardSeconds();
+
+              self.playingMessage = null;
+              self.messagePlayback = null;
+              self.progress = null;
+
+              // fall back on the prompt completing if playback of the
+              // message itself was never seen starting
+              var heard = (heardSeconds === null) ?
+                played :
+                self.messages.isHeard(message, heardSeconds);
+
+              if (heard) {
                 self.messages.markAsRead(message);
+              }
+
+              if (message) {
+                self.emit('MessagePlayed', message, played);
+              }
+
+              self.settle(request, played);
+
+              if (played) {
                 self.handle('menu');
               } else {
                 self.transition('ready');
@@ -356,6 +1253,8 @@ function fsm(mailbox, channel, dependencies) {
               dependencies.logger.error({
                 err: err
               }, 'Error playing prompt');
+
+              self.fail(request, err);
             });
 
           this.transition('processing');
@@ -374,6 +1273,24 @@ function fsm(mailbox, channel, dependencies) {
           dependencies.logger.trace('In processing');
         },
 
+        control: function(operation) {
+          dependencies.logger.trace('control called');
+
+          if (!this.messagePlayback) {
+            dependencies.logger.debug('No message playing, ignoring control');
+            return;
+          }
+
+          this.updateProgress(operation);
+          this.controlPlayback(operation);
+        },
+
+        volume: function(steps) {
+          dependencies.logger.trace('volume called');
+
+          this.changeVolume(steps);
+        },
+
         menu: function() {
           var self = this;
 
@@ -424,10 +1341,11 @@ function fsm(mailbox, channel, dependencies) {
             this.currentPrompt.stop();
           }
 
-          if (option === '0' || option === '1') {
+          if (this.getFolder(option)) {
             this.messages.changeFolder(option)
               .then(function() {
-                self.emit('FolderChanged');
+                self.message = null;
+                self.emit('FolderChanged', self.messages.getCurrentFolder());
                 self.transition('intro');
               })
               .catch(function(err) {
@@ -490,6 +1408,353 @@ function fsm(mailbox, channel, dependencies) {
         }
       },
 
+      // mailbox options menu
+      'options': {
+        _onEnter: function() {
+          dependencies.logger.trace('In options');
+        },
+
+        submitOption: function(option, request) {
+          dependencies.logger.trace('submitOption called');
+
+          if (greetingOptions[option]) {
+            this.greetingType = greetingOptions[option];
+            this.settle(request, true);
+            this.transition('recordingGreeting');
+          } else if (option === '4') {
+            this.playTemporaryGreetingMenu(request);
+            this.transition('temporaryGreeting');
+          } else if (option === '5') {
+            this.startPinChange(request, true);
+          } else {
+            this.playPromptsFor(request, ['invalidOption', 'optionsMenu']);
+          }
+        },
+
+        previousMenu: function() {
+          dependencies.logger.trace('options - previousMenu called');
+
+          this.transition('intro');
+        },
+
+        repeatMenu: function() {
+          dependencies.logger.trace('options - repeatMenu called');
+
+          this.playPromptsFor(null, ['optionsMenu']);
+        }
+      },
+
+      // recording a greeting from the options menu
+      'recordingGreeting': {
+        _onEnter: function() {
+          dependencies.logger.trace('In recordingGreeting');
+
+          if (this.currentPrompt) {
+            this.currentPrompt.stop();
+          }
+
+          this.greetingRecorder = this.createGreetingRecorder(
+              this.greetingType);
+          this.recordGreeting(this.greetingRecorder.record);
+        },
+
+        submitOption: function(option, request) {
+          var self = this;
+          var greetingRecorder = this.greetingRecorder;
+
+          dependencies.logger.trace('submitOption called');
+
+          if (!this.greetingRecorded) {
+            // any option stops the recording
+            greetingRecorder.stop();
+            this.greetingReviewed
+              .then(function() {
+                self.settle(request, true);
+              })
+              .catch(function(err) {
+                self.fail(request, err);
+              });
+
+            return;
+          }
+
+          var action;
+
+          if (option === '1') {
+            action = greetingRecorder.save()
+              .then(function() {
+                self.greetingRecorder = null;
+                self.emit('GreetingSaved', self.greetingType);
+                self.enterOptions();
+              });
+          } else if (option === '2') {
+            action = greetingRecorder.listen();
+          } else if (option === '3') {
+            this.recordGreeting(greetingRecorder.rerecord);
+            action = Q.when();
+          } else {
+            action = greetingRecorder.review();
+          }
+
+          action
+            .then(function() {
+              self.settle(request, true);
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'Error handling greeting option');
+
+              self.fail(request, err);
+              self.discardGreeting();
+              self.enterOptions();
+            });
+        },
+
+        previousMenu: function() {
+          dependencies.logger.trace(
+              'recording greeting - previousMenu called');
+
+          this.discardGreeting();
+          this.enterOptions();
+        },
+
+        repeatMenu: function() {
+          dependencies.logger.trace('recording greeting - repeatMenu called');
+
+          if (this.greetingRecorded) {
+            this.greetingRecorder.review()
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'Error playing prompt');
+              });
+          }
+        }
+      },
+
+      // temporary greeting menu
+      'temporaryGreeting': {
+        _onEnter: function() {
+          dependencies.logger.trace('In temporaryGreeting');
+        },
+
+        submitOption: function(option, request) {
+          var self = this;
+
+          dependencies.logger.trace('submitOption called');
+
+          if (option === '1') {
+            this.greetingType = 'temporary';
+            this.settle(request, true);
+            this.transition('recordingGreeting');
+          } else if (option === '2' && this.temporaryGreetingExists) {
+            if (this.currentPrompt) {
+              this.currentPrompt.stop();
+            }
+
+            this.greetings.remove('temporary')
+              .then(function() {
+                self.emit('GreetingRemoved', 'temporary');
+                self.enterOptions(request);
+              })
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'Error removing temporary greeting');
+
+                self.fail(request, err);
+                self.enterOptions();
+              });
+
+            this.transition('loadingOptions');
+          } else {
+            this.playPromptsFor(request, ['invalidOption']);
+          }
+        },
+
+        previousMenu: function() {
+          dependencies.logger.trace(
+              'temporary greeting - previousMenu called');
+
+          this.enterOptions();
+        },
+
+        repeatMenu: function() {
+          dependencies.logger.trace('temporary greeting - repeatMenu called');
+
+          this.playTemporaryGreetingMenu();
+        }
+      },
+
+      // waiting to return to the options menu
+      'loadingOptions': {
+        _onEnter: function() {
+          dependencies.logger.trace('In loadingOptions');
+        },
+
+        '*': function() {
+          dependencies.logger.trace('Deferring action until options');
+
+          this.deferUntilTransition('options');
+        }
+      },
+
+      // collecting a new pin
+      'changingPin': {
+        _onEnter: function() {
+          dependencies.logger.trace('In changingPin');
+        },
+
+        submitPin: function(digits, request) {
+          dependencies.logger.trace('submitPin called');
+
+          var reason = pin.validate(digits, mailbox,
+                                    this.messages.getConfig());
+
+          if (reason) {
+            dependencies.logger.debug({
+              reason: reason
+            }, 'New pin rejected');
+
+            this.settle(request, 'invalid');
+            this.playPrompts(['invalidPin', 'newPin'])
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'Error playing prompt');
+              });
+
+            return;
+          }
+
+          this.newPin = digits;
+          this.settle(request, 'confirm');
+          this.playPrompts(['confirmPin'])
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'Error playing prompt');
+            });
+          this.transition('confirmingPin');
+        },
+
+        previousMenu: function() {
+          dependencies.logger.trace('changing pin - previousMenu called');
+
+          this.leavePinMenu();
+        },
+
+        repeatMenu: function() {
+          dependencies.logger.trace('changing pin - repeatMenu called');
+
+          this.playPrompts(['newPin'])
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'Error playing prompt');
+            });
+        }
+      },
+
+      // confirming a new pin
+      'confirmingPin': {
+        _onEnter: function() {
+          dependencies.logger.trace('In confirmingPin');
+        },
+
+        submitPin: function(digits, request) {
+          dependencies.logger.trace('submitPin called');
+
+          if (digits !== this.newPin) {
+            this.newPin = null;
+            this.settle(request, 'mismatch');
+            this.playPrompts(['pinMismatch', 'newPin'])
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'Error playing prompt');
+              });
+            this.transition('changingPin');
+
+            return;
+          }
+
+          this.pinRequest = request;
+          this.transition('savingPin');
+        },
+
+        previousMenu: function() {
+          dependencies.logger.trace('confirming pin - previousMenu called');
+
+          this.leavePinMenu();
+        },
+
+        repeatMenu: function() {
+          dependencies.logger.trace('confirming pin - repeatMenu called');
+
+          this.playPrompts(['confirmPin'])
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'Error playing prompt');
+            });
+        }
+      },
+
+      // saving a new pin
+      'savingPin': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In savingPin');
+
+          if (this.currentPrompt) {
+            this.currentPrompt.stop();
+          }
+
+          var previous = mailbox.password;
+          var request = this.pinRequest;
+
+          this.pinRequest = null;
+
+          pin.hash(this.newPin)
+            .then(function(hashed) {
+              mailbox.password = hashed;
+
+              return dependencies.dal.mailbox.save(mailbox);
+            })
+            .then(function() {
+              dependencies.logger.info('Mailbox pin changed');
+
+              self.settle(request, 'changed');
+
+              return self.playPrompts(['pinChanged']);
+            })
+            .then(function(played) {
+              self.leavePinMenu();
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'Error changing pin');
+
+              mailbox.password = previous;
+              self.fail(request, err);
+              self.leavePinMenu();
+            });
+        },
+
+        '*': function() {
+          var menu = this.pinFromOptions ? 'options' : 'intro';
+
+          dependencies.logger.trace('Deferring action until %s', menu);
+
+          // handled once back at the menu the pin change was started from
+          this.deferUntilTransition(menu);
+        }
+      },
+
       // done reading mailbox
       'done': {
         _onEnter: function() {
@@ -497,10 +1762,28 @@ function fsm(mailbox, channel, dependencies) {
 
           // cleanup
           this.removeHangupHandler();
+          this.removePlaybackHandler();
+          this.removeMessageSavedHandler();
+
+          // permanently delete messages marked as deleted
+          if (this.messages) {
+            this.messages.purge()
+              .catch(function(err) {
+                dependencies.logger.error({
+                  err: err
+                }, 'Error purging deleted messages');
+              });
+          }
         },
 
-        '*': function() {
+        '*': function(inputType) {
           dependencies.logger.error('Called handle on spent fsm');
+
+          // requests are passed as the last argument
+          var request = arguments[arguments.length - 1];
+          if (request && request.inputType === inputType) {
+            this.fail(request, new Error('Reader is done'));
+          }
         }
       }
     }
@@ -509,6 +1792,34 @@ function fsm(mailbox, channel, dependencies) {
   return fsmInstance;
 }
 
+/**
+ * Returns a new unique name for a stored recording.
+ *
+ * @returns {string} name - a recording name
+ */
+function recordingName() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Returns a copy of the given prompt sound whose playback skips by the given
+ * number of milliseconds when moved forward or back.
+ *
+ * @param {object} sound - a prompt sound
+ * @param {number} skipms - milliseconds to skip
+ * @returns {object} sound - a copy of the prompt sound
+ */
+function withSkip(sound, skipms) {
+  var copy = {};
+
+  Object.keys(sound).forEach(function(key) {
+    copy[key] = sound[key];
+  });
+  copy.skipms = skipms;
+
+  return copy;
+}
+
 /**
  * Returns a mailbox reader object that can be used to listen to messages.
  *
@@ -528,40 +1839,98 @@ function create(mailbox, channel, dependencies) {
     first: function() {
       dependencies.logger.trace('first called');
 
-      process.nextTick(function() {
-        state.handle('play', 'first');
-      });
+      return handleRequest('play', 'first');
     },
 
     replay: function() {
       dependencies.logger.trace('replay called');
 
-      process.nextTick(function() {
-        state.handle('play', 'current');
-      });
+      return handleRequest('play', 'current');
     },
 
     next: function() {
       dependencies.logger.trace('next called');
 
-      process.nextTick(function() {
-        state.handle('play', 'next');
-      });
+      return handleRequest('play', 'next');
     },
 
     prev: function() {
       dependencies.logger.trace('prev called');
 
-      process.nextTick(function() {
-        state.handle('play', 'prev');
-      });
+      return handleRequest('play', 'prev');
     },
 
     'delete': function() {
       dependencies.logger.trace('delete called');
 
+      return handleRequest('delete');
+    },
+
+    markUnread: function() {
+      dependencies.logger.trace('markUnread called');
+
+      return handleRequest('markUnread');
+    },
+
+    undelete: function() {
+      dependencies.logger.trace('undelete called');
+
+      return handleRequest('undelete');
+    },
+
+    skipForward: function() {
+      dependencies.logger.trace('skipForward called');
+
+      process.nextTick(function() {
+        state.handle('control', 'forward');
+      });
+    },
+
+    skipBack: function() {
+      dependencies.logger.trace('skipBack called');
+
+      process.nextTick(function() {
+        state.handle('control', 'reverse');
+      });
+    },
+
+    pause: function() {
+      dependencies.logger.trace('pause called');
+
+      process.nextTick(function() {
+        state.handle('control', 'pause');
+      });
+    },
+
+    unpause: function() {
+      dependencies.logger.trace('unpause called');
+
+      process.nextTick(function() {
+        state.handle('control', 'unpause');
+      });
+    },
+
+    restart: function() {
+      dependencies.logger.trace('restart called');
+
+      process.nextTick(function() {
+        state.handle('control', 'restart');
+      });
+    },
+
+    volumeUp: function() {
+      dependencies.logger.trace('volumeUp called');
+
+      process.nextTick(function() {
+        state.handle('volume', 1);
+      });
+    },
+
+    volumeDown: function() {
+      dependencies.logger.trace('volumeDown called');
+
       process.nextTick(function() {
-        state.handle('delete');
+        state.handle('volume', -1);
       });
     },
 
@@ -580,9 +1949,19 @@ function create(mailbox, channel, dependencies) {
     changeFolder: function() {
       dependencies.logger.trace('changeFolder called');
 
-      process.nextTick(function() {
-        state.handle('changeFolder');
-      });
+      return handleRequest('changeFolder');
+    },
+
+    save: function(option) {
+      dependencies.logger.trace('save called');
+
+      return handleRequest('save', option);
+    },
+
+    forward: function(mailboxNumber, comment) {
+      dependencies.logger.trace('forward called');
+
+      return handleRequest('forward', mailboxNumber, comment);
     },
 
     submitFolder: function(option) {
@@ -620,11 +1999,134 @@ function create(mailbox, channel, dependencies) {
         state.off('FolderChanged', onChanged);
         state.off('Error', onError);
       }
+    },
+
+    changePin: function() {
+      dependencies.logger.trace('changePin called');
+
+      return handleRequest('changePin');
+    },
+
+    options: function() {
+      dependencies.logger.trace('options called');
+
+      return handleRequest('options');
+    },
+
+    submitOption: function(option) {
+      dependencies.logger.trace('submitOption called');
+
+      return handleRequest('submitOption', option);
+    },
+
+    submitPin: function(digits) {
+      dependencies.logger.trace('submitPin called');
+
+      return handleRequest('submitPin', digits);
     }
   };
 
+  var emit = lifecycle.create(api, state, mailbox, channel, function() {
+    return state.message;
+  });
+
+  state.on('MessagePlayed', function(message, played) {
+    emit('messagePlayed', message, {
+      played: played
+    });
+  });
+
+  state.on('MessageDeleted', function(message) {
+    emit('messageDeleted', message);
+  });
+
+  state.on('FolderChanged', function(folder) {
+    emit('folderChanged', null, {
+      folder: folder.name
+    });
+  });
+
+  state.on('GreetingSaved', function(type) {
+    emit('greetingSaved', null, {
+      greeting: type
+    });
+  });
+
+  state.on('GreetingRemoved', function(type) {
+    emit('greetingRemoved', null, {
+      greeting: type
+    });
+  });
+
   dependencies.logger.info('Voicemail mailbox reader created');
 
+  /**
+   * Passes the given input and arguments to the fsm along with a request
+   * that the fsm settles once the prompt played for it has finished, has been
+   * interrupted or has failed, or once the operation it started has finished.
+   *
+   * @param {string} inputType - the fsm input to handle
+   * @returns {Q} promise - a promise containing true if the prompt played to
+   *   the end or false if it was interrupted, or the result of the operation
+   */
+  function handleRequest(inputType) {
+    var args = Array.prototype.slice.call(arguments);
+    var request = {
+      inputType: inputType
+    };
+    var deferred = Q.defer();
+
+    if (state.state === 'done') {
+      return Q.reject(new Error('Reader is done'));
+    }
+
+    state.on('RequestSettled', onSettled);
+    state.on('RequestFailed', onFailed);
+    state.on('nohandler', onNoHandler);
+
+    process.nextTick(function() {
+      state.handle.apply(state, args.concat([request]));
+    });
+
+    return deferred.promise;
+
+    function onSettled(settled, result) {
+      if (settled === request) {
+        dependencies.logger.trace('Received RequestSettled from fsm');
+
+        removeListeners();
+        deferred.resolve(result);
+      }
+    }
+
+    function onFailed(failed, err) {
+      if (failed === request) {
+        dependencies.logger.trace('Received RequestFailed from fsm');
+
+        removeListeners();
+        deferred.reject(err);
+      }
+    }
+
+    function onNoHandler(data) {
+      if (data.args.indexOf(request) !== -1) {
+        dependencies.logger.trace('Received nohandler from fsm');
+
+        removeListeners();
+        deferred.reject(new Error(util.format(
+          'Cannot handle %s in state %s', inputType, state.state)));
+      }
+    }
+
+    function removeListeners() {
+      dependencies.logger.trace('Removing fsm event handlers');
+
+      state.off('RequestSettled', onSettled);
+      state.off('RequestFailed', onFailed);
+      state.off('nohandler', onNoHandler);
+    }
+  }
+
   return api;
 }
 
@@ -0,0 +1,330 @@
+/**
+ * Mailbox Greeting Recorder module for Asterisk voicemail.
+ *
+ * @module tests-context
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var Q = require('q');
+var ari = require('ari-client-wrapper');
+var machina = require('machina');
+var util = require('util');
+var greetingsHelper = require('./helpers/greetings.js');
+var recording = require('./helpers/recording.js');
+
+/**
+ * Returns a new finite state machine instance for the given channel and
+ * helpers intended to be used to record mailbox greetings.
+ *
+ * @param {Mailbox} mailbox - a mailbox instance
+ * @param {Channel} channel - a channel instance
+ * @param {string} type - unavailable|busy|temporary|name
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {machina.Fsm} fsm - a finite state machine instance
+ */
+function fsm(mailbox, channel, type, dependencies) {
+  var settings = {
+    prompts: 'greetingRecorder',
+    rerecordState: 'intro'
+  };
+
+  var fsmInstance = new machina.Fsm(recording.fsmOptions(channel, settings,
+                                                         dependencies, {
+
+    initialState: 'init',
+
+    // handler for channel hanging up
+    hangupHandler: function(event) {
+      dependencies.logger.trace('hangupHandler called');
+
+      // a recording is only discarded once it has been stored
+      if (this.state === 'recording' || this.state === 'stoppingRecording') {
+        this.cancelled = true;
+      } else {
+        this.transition('done');
+      }
+    },
+
+    // returns the stored recording name to use for the given live recording
+    // name, a temporary name until the greeting is saved
+    getRecordingName: function(name) {
+      return util.format('voicemail/%s/greetings/%s', mailbox.getId(), name);
+    },
+
+    // returns the options used to record the greeting
+    getRecordOptions: function() {
+      return {
+        format: this.config['msg_format'],
+        maxDurationSeconds: this.config.maxgreet || 0,
+        maxSilenceSeconds: this.config.maxsilence || 0,
+        terminateOn: this.config['terminate_on'] || '#',
+        beep: !!this.config.beep,
+        ifExists: 'overwrite'
+      };
+    },
+
+    states: {
+      // bootstrapping
+      'init': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In init');
+
+          var ariConfig = dependencies.config.getAppConfig().ari;
+          ari.getClient(ariConfig, ariConfig.applicationName)
+            .then(function(client) {
+              self.client = client;
+              self.greetings = greetingsHelper.create(mailbox, client,
+                                                      dependencies);
+
+              return dependencies.config.getMailboxConfig(mailbox);
+            })
+            .then(function(mailboxConfig) {
+              self.config = mailboxConfig;
+
+              // the channel may have hung up in the meantime
+              if (self.state !== 'done') {
+                self.transition('ready');
+              }
+            })
+            .catch(function(err) {
+              dependencies.logger.error({
+                err: err
+              }, 'Error connection to ARI/fetching mailbox config');
+
+              self.hangup();
+            });
+
+          this.currentHangupHandler = this.hangupHandler.bind(this);
+          channel.on('StasisEnd', this.currentHangupHandler);
+        },
+
+        '*': function() {
+          dependencies.logger.trace('Deferring action until ready');
+
+          this.deferUntilTransition('ready');
+        }
+      },
+
+      // ready to record a greeting
+      'ready': {
+        _onEnter: function() {
+          dependencies.logger.trace('In ready');
+        },
+
+        record: function() {
+          dependencies.logger.trace('record called');
+
+          this.transition('intro');
+        },
+
+        cancel: function() {
+          dependencies.logger.trace('cancel called');
+
+          this.transition('done');
+        }
+      },
+
+      // playing the instructions for the greeting type
+      'intro': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In intro');
+
+          this.playPrompt(type)
+            .then(function(played) {
+              if (self.state !== 'done') {
+                self.transition(self.cancelled ? 'done' : 'recording');
+              }
+            })
+            .catch(function(err) {
+              self.emit('Error', err);
+              self.transition('done');
+            });
+        },
+
+        stop: function() {
+          dependencies.logger.trace('stop called');
+
+          this.stopPrompt();
+        },
+
+        cancel: function() {
+          dependencies.logger.trace('cancel called');
+
+          this.cancelled = true;
+          this.stopPrompt();
+        }
+      },
+
+      // recording a greeting
+      'recording': {
+        cancel: function() {
+          dependencies.logger.trace('cancel called');
+
+          this.cancelled = true;
+          this.transition('stoppingRecording');
+        }
+      },
+
+      'stoppingRecording': {
+        cancel: function() {
+          dependencies.logger.trace('cancel called');
+
+          this.cancelled = true;
+        }
+      },
+
+      'recordingFinished': {
+        cancel: function() {
+          dependencies.logger.trace('cancel called');
+
+          this.transition('done');
+        }
+      },
+
+      'reviewing': {
+        cancel: function() {
+          dependencies.logger.trace('cancel called');
+
+          this.transition('done');
+        }
+      },
+
+      'accepting': {
+        cancel: function() {
+          dependencies.logger.trace('cancel called');
+
+          this.cancelled = true;
+          this.stopPrompt();
+        }
+      },
+
+      'deletingRecording': {
+        '*': function() {
+          dependencies.logger.trace('Deferring action until intro');
+
+          this.deferUntilTransition('intro');
+        }
+      },
+
+      // saving recording as the mailbox greeting
+      'savingRecording': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In savingRecording');
+
+          this.greetings.store(this.recording.name, type)
+            .then(function() {
+              self.saved = true;
+              self.emit('GreetingSaved');
+              self.transition('done');
+            })
+            .catch(function(err) {
+              self.emit('Error', err);
+              self.transition('done');
+            });
+        }
+      },
+
+      // done recording greeting
+      'done': {
+        _onEnter: function() {
+          dependencies.logger.trace('In done');
+
+          // cleanup
+          this.stopPrompt();
+          this.removeHangupHandler();
+          this.removeRecordingHandler();
+
+          // discard a recording that was never saved
+          if (this.recording && !this.saved) {
+            this.deleteRecording()
+              .catch(function(err) {
+                // ignore errors
+              });
+          }
+        },
+
+        '*': function() {
+          dependencies.logger.error('Called handle on spent fsm');
+        }
+      }
+    }
+  }));
+
+  return fsmInstance;
+}
+
+/**
+ * Returns a greeting recorder object that can be used to record a mailbox
+ * greeting.
+ *
+ * @param {Mailbox} mailbox - a mailbox instance
+ * @param {Channel} channel - a channel instance
+ * @param {string} type - unavailable|busy|temporary|name
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {object} api - api for recording mailbox greetings
+ */
+function create(mailbox, channel, type, dependencies) {
+  if (greetingsHelper.types.indexOf(type) === -1) {
+    throw new Error(util.format('Invalid greeting type: %s', type));
+  }
+
+  dependencies.logger = dependencies.logger.child({
+    component: 'voicemail-mailbox-greeting-recorder'
+  });
+
+  var state = fsm(mailbox, channel, type, dependencies);
+
+  var api = recording.api(state, 'GreetingSaved', dependencies);
+
+  api.cancel = function() {
+    dependencies.logger.trace('cancel called');
+
+    var deferred = Q.defer();
+
+    if (state.state === 'done') {
+      return Q.when();
+    }
+
+    state.on('transition', onTransition);
+
+    process.nextTick(function() {
+      state.handle('cancel');
+    });
+
+    return deferred.promise;
+
+    function onTransition(data) {
+      if (data.toState === 'done') {
+        dependencies.logger.trace('Recorder done after cancel');
+
+        state.off('transition', onTransition);
+        deferred.resolve();
+      }
+    }
+  };
+
+  dependencies.logger.info({
+    type: type
+  }, 'Voicemail mailbox greeting recorder created');
+
+  return api;
+}
+
+/**
+ * Returns module functions.
+ *
+ * @returns {object} module - module functions
+ */
+module.exports = {
+  create: create
+};
@@ -0,0 +1,704 @@
+/**
+ * Mailbox HTTP Server module for Asterisk voicemail.
+ *
+ * @module tests-context
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+var Q = require('q');
+var http = require('http');
+var https = require('https');
+var stream = require('stream');
+var url = require('url');
+var util = require('util');
+var errors = require('./errors.js');
+var manager = require('./manager.js');
+var messagesHelper = require('./helpers/messages.js');
+var dependenciesHelper = require('./helpers/dependencies.js');
+
+// largest request body accepted, in bytes
+var maxBodySize = 4096;
+// largest page of messages that can be listed at a time
+var maxPageSize = 100;
+
+/**
+ * Error returned when a request cannot be understood.
+ *
+ * @param {string} message - the error message
+ */
+function BadRequestError(message) {
+  Error.call(this);
+  Error.captureStackTrace(this, BadRequestError);
+
+  this.name = 'BadRequestError';
+  this.message = message;
+}
+util.inherits(BadRequestError, Error);
+
+/**
+ * Error returned when a request is not allowed to access a mailbox.
+ *
+ * @param {string} message - the error message
+ */
+function ForbiddenError(message) {
+  Error.call(this);
+  Error.captureStackTrace(this, ForbiddenError);
+
+  this.name = 'ForbiddenError';
+  this.message = message;
+}
+util.inherits(ForbiddenError, Error);
+
+/**
+ * Returns a server object that exposes the mailbox manager over HTTP.
+ *
+ * Every request is checked with the given authorize function before it
+ * can access a mailbox or one of its messages. The function is called with
+ * the request and the mailbox and returns, or returns a promise containing,
+ * whether the request is allowed.
+ *
+ * @param {function} authorize - checks whether a request may access a
+ *   mailbox
+ * @param {object} dependencies - object keyed by module dependencies
+ * @returns {object} api - api for controlling the server
+ */
+function create(authorize, dependencies) {
+  if (typeof authorize !== 'function') {
+    throw new TypeError('An authorize function is required');
+  }
+
+  dependencies.logger = dependencies.logger.child({
+    component: 'voicemail-mailbox-server'
+  });
+
+  var routes = [{
+    method: 'GET',
+    path: /^\/mailboxes\/([^\/]+)\/folders\/([^\/]+)\/messages$/,
+    handler: listMessages
+  }, {
+    method: 'DELETE',
+    path: /^\/messages\/([^\/]+)$/,
+    handler: deleteMessage
+  }, {
+    method: 'POST',
+    path: /^\/messages\/([^\/]+)\/move$/,
+    handler: moveMessage
+  }, {
+    method: 'POST',
+    path: /^\/messages\/([^\/]+)\/read$/,
+    handler: readMessage
+  }, {
+    method: 'GET',
+    path: /^\/messages\/([^\/]+)\/recording$/,
+    handler: streamRecording
+  }];
+
+  var server = http.createServer(handle);
+
+  var api = {
+    /**
+     * Starts listening for requests. The port and host default to the http
+     * section of the application config, only listening on localhost when
+     * no host is configured.
+     *
+     * @param {int} port - optional port to listen on
+     * @param {string} host - optional host to listen on
+     * @returns {Q} promise - a promise resolved once the server is listening
+     */
+    listen: function(port, host) {
+      dependencies.logger.trace('listen called');
+
+      var httpConfig = dependencies.config.getAppConfig().http || {};
+      var listen = Q.denodeify(server.listen.bind(server));
+
+      port = port === undefined ? httpConfig.port : port;
+      host = host === undefined ? httpConfig.host || 'localhost' : host;
+
+      return listen(port, host)
+        .then(function() {
+          dependencies.logger.info({
+            address: server.address()
+          }, 'Voicemail mailbox server listening');
+        });
+    },
+
+    /**
+     * Stops listening for requests.
+     *
+     * @returns {Q} promise - a promise resolved once the server is closed
+     */
+    close: function() {
+      dependencies.logger.trace('close called');
+
+      return Q.denodeify(server.close.bind(server))();
+    },
+
+    /**
+     * Returns the address the server is listening on.
+     *
+     * @returns {object} address - the port, family and address
+     */
+    address: function() {
+      return server.address();
+    },
+
+    /**
+     * Handles the given request, allowing the routes to be mounted on an
+     * existing http server.
+     *
+     * @param {http.IncomingMessage} req - the request
+     * @param {http.ServerResponse} res - the response
+     */
+    handle: handle
+  };
+
+  dependencies.logger.info('Voicemail mailbox server created');
+
+  return api;
+
+  /**
+   * Dispatches the given request to the matching route.
+   *
+   * @param {http.IncomingMessage} req - the request
+   * @param {http.ServerResponse} res - the response
+   */
+  function handle(req, res) {
+    var parsed = url.parse(req.url, true);
+
+    dependencies.logger.debug({
+      method: req.method,
+      url: req.url
+    }, 'Request received');
+
+    var route = routes.filter(function(candidate) {
+      return candidate.method === req.method &&
+        candidate.path.test(parsed.pathname);
+    })[0];
+
+    if (!route) {
+      sendJson(res, 404, {error: 'Not found'});
+
+      return;
+    }
+
+    Q.fcall(dispatch)
+      .catch(function(err) {
+        if (!isClientError(err)) {
+          dependencies.logger.error({
+            err: err,
+            method: req.method,
+            url: req.url
+          }, 'Request failed');
+        }
+
+        // never reuse a connection with an unread request body
+        if (!req.complete) {
+          res.setHeader('Connection', 'close');
+        }
+
+        sendError(res, err);
+      })
+      .done();
+
+    // decoding throws on malformed parameters, so it happens in the chain
+    function dispatch() {
+      var params = route.path.exec(parsed.pathname).slice(1).map(
+        decodeParam);
+
+      return route.handler(req, res, params, parsed.query);
+    }
+  }
+
+  /**
+   * Lists the messages in a mailbox folder, a page at a time when an offset
+   * or limit is given.
+   */
+  function listMessages(req, res, params, query) {
+    var page;
+
+    if (query.offset !== undefined || query.limit !== undefined) {
+      page = {
+        offset: parseInt(query.offset || 0, 10),
+        limit: parseInt(query.limit || 20, 10),
+        sort: query.sort
+      };
+
+      if (isNaN(page.offset) || isNaN(page.limit) || page.offset < 0 ||
+          page.limit < 1 || page.limit > maxPageSize) {
+        return Q.reject(new BadRequestError('Invalid offset or limit'));
+      }
+
+      if (page.sort !== undefined &&
+          messagesHelper.sortModes.indexOf(page.sort) === -1) {
+        return Q.reject(new BadRequestError(util.format(
+          'Invalid sort mode: %s', page.sort)));
+      }
+    }
+
+    return getMailbox(req, params[0])
+      .then(function(mailbox) {
+        return createManager(mailbox).list(params[1], page);
+      })
+      .then(function(messages) {
+        sendJson(res, 200, messages.map(manager.toMetadata));
+      });
+  }
+
+  /**
+   * Deletes a message along with its recordings.
+   */
+  function deleteMessage(req, res, params) {
+    return getMessage(req, params[0])
+      .then(function(message) {
+        return createManager(message.getMailbox()).delete(message);
+      })
+      .then(function() {
+        sendJson(res, 204);
+      });
+  }
+
+  /**
+   * Moves a message to the folder given in the request body.
+   */
+  function moveMessage(req, res, params) {
+    var message;
+
+    return getMessage(req, params[0])
+      .then(function(instance) {
+        message = instance;
+
+        return readBody(req);
+      })
+      .then(function(body) {
+        if (body.folder === undefined) {
+          throw new BadRequestError('Missing folder');
+        }
+
+        return createManager(message.getMailbox())
+          .move(message, String(body.folder));
+      })
+      .then(function(message) {
+        sendJson(res, 200, manager.toMetadata(message));
+      });
+  }
+
+  /**
+   * Marks a message as read, or as unread when the request body contains
+   * read set to false.
+   */
+  function readMessage(req, res, params) {
+    var message;
+
+    return getMessage(req, params[0])
+      .then(function(instance) {
+        message = instance;
+
+        return readBody(req);
+      })
+      .then(function(body) {
+        var messages = createManager(message.getMailbox());
+
+        if (body.read === false) {
+          return messages.markUnread(message);
+        }
+
+        return messages.markRead(message);
+      })
+      .then(function() {
+        sendJson(res, 200, manager.toMetadata(message));
+      });
+  }
+
+  /**
+   * Streams the audio of a message recording from ARI, honouring single
+   * byte ranges so clients can seek.
+   */
+  function streamRecording(req, res, params) {
+    return getMessage(req, params[0])
+      .then(function(message) {
+        return getRecordingFile(message.recording);
+      })
+      .then(function(file) {
+        // stop downloading if the client goes away
+        res.on('close', function() {
+          file.destroy();
+        });
+
+        file.on('error', function(err) {
+          dependencies.logger.error({
+            err: err,
+            url: req.url
+          }, 'Error streaming recording');
+
+          res.destroy();
+        });
+
+        sendAudio(req, res, file);
+      });
+  }
+
+  /**
+   * Requests the audio of the given stored recording from ARI, returning
+   * the response before its body is read.
+   *
+   * @param {string} name - the recording name
+   * @returns {Q} promise - a promise containing the ARI response
+   */
+  function getRecordingFile(name) {
+    var ariConfig = dependencies.config.getAppConfig().ari;
+    var target = url.parse(ariConfig.url);
+    var transport = target.protocol === 'https:' ? https : http;
+    var deferred = Q.defer();
+
+    var ariReq = transport.get({
+      hostname: target.hostname,
+      port: target.port,
+      path: util.format('%s/ari/recordings/stored/%s/file',
+                        target.pathname.replace(/\/$/, ''),
+                        encodeURIComponent(name)),
+      auth: util.format('%s:%s', ariConfig.username, ariConfig.password)
+    }, function(file) {
+      if (file.statusCode !== 200) {
+        file.resume();
+        deferred.reject(new Error(util.format(
+          'Could not get recording %s: %d', name, file.statusCode)));
+
+        return;
+      }
+
+      deferred.resolve(file);
+    });
+
+    ariReq.on('error', function(err) {
+      deferred.reject(err);
+    });
+
+    return deferred.promise;
+  }
+
+  /**
+   * Returns the mailbox with the given id if the request may access it.
+   *
+   * @param {http.IncomingMessage} req - the request
+   * @param {string} id - the mailbox id
+   * @returns {Q} promise - a promise containing the mailbox
+   */
+  function getMailbox(req, id) {
+    return dependencies.dal.mailbox.findById(id)
+      .then(function(mailbox) {
+        if (!mailbox) {
+          throw new errors.MailboxNotFoundError(util.format(
+            'Mailbox %s does not exist', id));
+        }
+
+        return checkAccess(req, mailbox);
+      });
+  }
+
+  /**
+   * Returns the message with the given id if the request may access its
+   * mailbox.
+   *
+   * @param {http.IncomingMessage} req - the request
+   * @param {string} id - the message id
+   * @returns {Q} promise - a promise containing the message
+   */
+  function getMessage(req, id) {
+    return dependencies.dal.message.findById(id)
+      .then(function(message) {
+        if (!message) {
+          throw new errors.MessageNotFoundError(util.format(
+            'Message %s does not exist', id));
+        }
+
+        return checkAccess(req, message.getMailbox())
+          .then(function() {
+            return message;
+          });
+      });
+  }
+
+  /**
+   * Rejects with a ForbiddenError unless the request may access the given
+   * mailbox.
+   *
+   * @param {http.IncomingMessage} req - the request
+   * @param {Mailbox} mailbox - a mailbox instance
+   * @returns {Q} promise - a promise containing the mailbox
+   */
+  function checkAccess(req, mailbox) {
+    return Q.fcall(authorize, req, mailbox)
+      .then(function(allowed) {
+        if (!allowed) {
+          throw new ForbiddenError(util.format(
+            'Access to mailbox %s denied', mailbox.getId()));
+        }
+
+        return mailbox;
+      });
+  }
+
+  /**
+   * Returns a manager for the given mailbox.
+   *
+   * @param {Mailbox} mailbox - a mailbox instance
+   * @returns {object} manager - a mailbox manager
+   */
+  function createManager(mailbox) {
+    return manager.create(mailbox, dependenciesHelper.copy(dependencies));
+  }
+}
+
+/**
+ * Decodes the given path parameter.
+ *
+ * @param {string} param - the encoded path parameter
+ * @returns {string} decoded - the decoded path parameter
+ */
+function decodeParam(param) {
+  try {
+    return decodeURIComponent(param);
+  } catch (err) {
+    throw new BadRequestError(util.format('Invalid path parameter: %s',
+                                          param));
+  }
+}
+
+/**
+ * Returns the JSON body of the given request, or an empty object if there
+ * is no body.
+ *
+ * @param {http.IncomingMessage} req - the request
+ * @returns {Q} promise - a promise containing the parsed body
+ */
+function readBody(req) {
+  var deferred = Q.defer();
+  var body = '';
+
+  req.setEncoding('utf8');
+  req.on('data', onData);
+
+  req.on('end', function() {
+    try {
+      deferred.resolve(body ? JSON.parse(body) : {});
+    } catch (err) {
+      deferred.reject(new BadRequestError('Invalid JSON body'));
+    }
+  });
+
+  req.on('error', function(err) {
+    deferred.reject(err);
+  });
+
+  return deferred.promise;
+
+  function onData(chunk) {
+    body += chunk;
+
+    if (Buffer.byteLength(body) > maxBodySize) {
+      // stop reading, the connection is closed once the error is sent
+      body = '';
+      req.removeListener('data', onData);
+      req.pause();
+
+      deferred.reject(new BadRequestError('Request body too large'));
+    }
+  }
+}
+
+/**
+ * Parses the given Range header against a resource of the given size. Only
+ * a single range is supported, other ranges are ignored.
+ *
+ * @param {string} header - the Range header
+ * @param {int} size - size of the resource in bytes
+ * @returns {object} range - start and end byte offsets (inclusive), null if
+ *   the whole resource should be sent, or false if unsatisfiable
+ */
+function parseRange(header, size) {
+  var match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+
+  var start;
+  var end;
+
+  if (!match[1]) {
+    // suffix range, last n bytes
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  }
+
+  if (start > end || start >= size) {
+    return false;
+  }
+
+  return {start: start, end: end};
+}
+
+/**
+ * Streams the given audio, or the byte range requested. Ranges are only
+ * honoured when the size of the audio is known.
+ *
+ * @param {http.IncomingMessage} req - the request
+ * @param {http.ServerResponse} res - the response
+ * @param {http.IncomingMessage} file - the ARI response containing the audio
+ */
+function sendAudio(req, res, file) {
+  var size = parseInt(file.headers['content-length'], 10);
+  var range = isNaN(size) ? null : parseRange(req.headers.range, size);
+  var headers = {
+    'Content-Type': file.headers['content-type'] || 'application/octet-stream'
+  };
+
+  if (!isNaN(size)) {
+    headers['Accept-Ranges'] = 'bytes';
+  }
+
+  if (range === false) {
+    file.destroy();
+
+    headers['Content-Range'] = util.format('bytes */%d', size);
+    res.writeHead(416, headers);
+    res.end();
+
+    return;
+  }
+
+  if (range) {
+    headers['Content-Range'] = util.format(
+      'bytes %d-%d/%d', range.start, range.end, size);
+    headers['Content-Length'] = range.end - range.start + 1;
+    res.writeHead(206, headers);
+    file.pipe(byteRange(file, range)).pipe(res);
+
+    return;
+  }
+
+  if (!isNaN(size)) {
+    headers['Content-Length'] = size;
+  }
+
+  res.writeHead(200, headers);
+  file.pipe(res);
+}
+
+/**
+ * Returns a stream passing on only the given byte range of the given
+ * source, which is destroyed once the end of the range is reached.
+ *
+ * @param {stream.Readable} source - the stream piped into the range
+ * @param {object} range - start and end byte offsets (inclusive)
+ * @returns {stream.Transform} stream - the byte range stream
+ */
+function byteRange(source, range) {
+  var offset = 0;
+
+  return new stream.Transform({
+    transform: function(chunk, encoding, callback) {
+      var from = Math.max(range.start - offset, 0);
+      var to = Math.min(range.end + 1 - offset, chunk.length);
+
+      offset += chunk.length;
+
+      if (from < to) {
+        this.push(chunk.slice(from, to));
+      }
+
+      if (offset > range.end) {
+        source.unpipe(this);
+        source.destroy();
+        this.end();
+      }
+
+      callback();
+    }
+  });
+}
+
+/**
+ * Sends the given data as JSON.
+ *
+ * @param {http.ServerResponse} res - the response
+ * @param {int} status - the status code
+ * @param {object} data - optional data to send
+ */
+function sendJson(res, status, data) {
+  if (data === undefined) {
+    res.writeHead(status);
+    res.end();
+
+    return;
+  }
+
+  var body = JSON.stringify(data);
+
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body)
+  });
+  res.end(body);
+}
+
+/**
+ * Sends the given error, mapping known errors to status codes.
+ *
+ * @param {http.ServerResponse} res - the response
+ * @param {Error} err - the error
+ */
+function sendError(res, err) {
+  var status = 500;
+
+  if (err instanceof BadRequestError) {
+    status = 400;
+  } else if (err instanceof ForbiddenError) {
+    status = 403;
+  } else if (isNotFound(err)) {
+    status = 404;
+  }
+
+  sendJson(res, status, {error: err.message});
+}
+
+/**
+ * Returns whether the given error was caused by the request rather than the
+ * server.
+ *
+ * @param {Error} err - the error
+ * @returns {boolean} clientError - whether the request was at fault
+ */
+function isClientError(err) {
+  return err instanceof BadRequestError ||
+         err instanceof ForbiddenError ||
+         isNotFound(err);
+}
+
+/**
+ * Returns whether the given error means the resource does not exist.
+ *
+ * @param {Error} err - the error
+ * @returns {boolean} notFound - whether the resource does not exist
+ */
+function isNotFound(err) {
+  return err instanceof errors.MailboxNotFoundError ||
+         err instanceof errors.MessageNotFoundError ||
+         err instanceof errors.FolderNotFoundError;
+}
+
+/**
+ * Returns module functions.
+ *
+ * @returns {object} module - module functions
+ */
+module.exports = {
+  create: create
+};
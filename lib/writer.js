@@ -9,10 +9,22 @@
 
 'use strict';
 
-var Q = require('q');
 var ari = require('ari-client-wrapper');
 var machina = require('machina');
 var util = require('util');
+var errors = require('./errors.js');
+var greetingsHelper = require('./helpers/greetings.js');
+var mwi = require('./helpers/mwi.js');
+var bus = require('./helpers/bus.js');
+var lifecycle = require('./helpers/lifecycle.js');
+var recording = require('./helpers/recording.js');
+
+// plays a personal greeting when no personalGreeting prompt is configured
+var defaultPersonalGreeting = [{
+  sound: 'recording:{greeting}',
+  skipable: true,
+  postSilence: 0
+}];
 
 /**
  * Returns a new finite state machine instance for the given channel and
@@ -24,19 +36,15 @@ var util = require('util');
  * @returns {machina.Fsm} fsm - a finite state machine instance
  */
 function fsm(mailbox, channel, dependencies) {
-  var fsmInstance = new machina.Fsm({
-
-    initialState: 'init',
+  var settings = {
+    prompts: 'mailboxWriter',
+    rerecordState: 'recording'
+  };
 
-    // hangs up the channel
-    hangup: function() {
-      dependencies.logger.trace('hangup called');
+  var fsmInstance = new machina.Fsm(recording.fsmOptions(channel, settings,
+                                                         dependencies, {
 
-      channel.hangup()
-        .catch(function(err) {
-          // ignore errors
-        });
-    },
+    initialState: 'init',
 
     // handler for channel hanging up
     hangupHandler: function(event) {
@@ -47,38 +55,73 @@ function fsm(mailbox, channel, dependencies) {
       }
     },
 
-    // removes handler for channel hanging up
-    removeHangupHandler: function() {
-      if (this.currentHangupHandler) {
-        dependencies.logger.trace('Removing hangupHandler');
+    // handler for dtmf received while the greeting is playing
+    escapeHandler: function(event) {
+      dependencies.logger.trace('escapeHandler called');
+
+      var digit = event.digit;
+
+      if (digit === '0' && this.config.operator) {
+        this.escapeError = new errors.EscapeError('operator',
+                                                  this.config.operator);
+      } else if (digit === '*') {
+        this.escapeError = new errors.EscapeError('login');
+      }
+
+      if (this.escapeError) {
+        dependencies.logger.debug({
+          reason: this.escapeError.reason
+        }, 'Caller escaping greeting');
+
+        this.removeEscapeHandler();
+        this.introPrompt.stop();
+      }
+    },
+
+    // removes handler for dtmf received while the greeting is playing
+    removeEscapeHandler: function() {
+      if (this.currentEscapeHandler) {
+        dependencies.logger.trace('Removing escapeHandler');
 
-        channel.removeListener('StasisEnd', this.currentHangupHandler);
-        this.currentHangupHandler = null;
+        channel.removeListener('ChannelDtmfReceived',
+                               this.currentEscapeHandler);
+        this.currentEscapeHandler = null;
       }
     },
 
-    // handler for recording being finished
-    recordingHandler: function(event, recording) {
-      dependencies.logger.trace('recordingHandler called');
+    // flags the message being left as urgent
+    setUrgent: function() {
+      var self = this;
 
-      dependencies.logger.debug({
-        recording: recording
-      }, 'RecordingFinished received');
+      dependencies.logger.trace('setUrgent called');
 
-      // store recording to get duration for save operation
-      this.recording = recording;
-      this.transition('recordingFinished');
-      this.emit('RecordingFinished');
+      this.urgent = true;
+
+      this.playPrompt('markedUrgent')
+        .then(function(played) {
+          self.emit('MarkedUrgent');
+        })
+        .catch(function(err) {
+          self.emit('Error', err);
+        });
     },
 
-    // removes handler for recording being finished
-    removeRecordingHandler: function() {
-      if (this.currentRecordingHandler) {
-        dependencies.logger.trace('Removing recordingHandler');
+    // returns the stored recording name to use for the given live recording
+    // name
+    getRecordingName: function(name) {
+      return util.format('voicemail/%s/%s', mailbox.getId(), name);
+    },
 
-        this.recording.removeListener('RecordingFinished',
-                                      this.currentRecordingHandler);
-      }
+    // returns the options used to record the message
+    getRecordOptions: function() {
+      return {
+        format: this.config['msg_format'],
+        maxDurationSeconds: this.config.maxsecs || 0,
+        maxSilenceSeconds: this.config.maxsilence || 0,
+        terminateOn: this.config['terminate_on'] || '#',
+        beep: !!this.config.beep,
+        ifExists: this.config['if_exists'] || 'fail'
+      };
     },
 
     states: {
@@ -93,12 +136,17 @@ function fsm(mailbox, channel, dependencies) {
           ari.getClient(ariConfig, ariConfig.applicationName)
             .then(function(client) {
               self.client = client;
+              self.greetings = greetingsHelper.create(mailbox, client,
+                                                      dependencies);
 
               return dependencies.config.getMailboxConfig(mailbox);
             })
             .then(function(mailboxConfig) {
               self.config = mailboxConfig;
-              self.transition('ready');
+
+              if (self.state !== 'done') {
+                self.transition('ready');
+              }
             })
             .catch(function(err) {
               dependencies.logger.error({
@@ -126,34 +174,50 @@ function fsm(mailbox, channel, dependencies) {
         },
 
         record: function() {
+          dependencies.logger.trace('record called');
+
+          this.transition('checkingMailbox');
+        }
+      },
+
+      // ensuring the mailbox can hold another message
+      'checkingMailbox': {
+        _onEnter: function() {
           var self = this;
 
-          dependencies.logger.trace('record called');
+          dependencies.logger.trace('In checkingMailbox');
 
-          var greeting = dependencies
-            .config
-            .getAppConfig()
-            .prompts
-            .mailboxWriter
-            .greeting || [];
-          var intro = dependencies
-            .config
-            .getAppConfig()
-            .prompts
-            .mailboxWriter
-            .intro || [];
-          var sounds = greeting.concat(intro);
-          var replacements = {
-            extension: mailbox.mailboxNumber,
-            status: mailbox.busy ? 'vm-isonphone': 'vm-isunavail'
-          };
+          dependencies.dal.folder.all()
+            .then(function(folders) {
+              var inbox = folders['0'];
 
-          this.introPrompt = dependencies.prompt.create(sounds,
-                                                        channel,
-                                                        replacements);
-          this.introPrompt.play()
-            .then(function(played) {
-              self.transition('recording');
+              return dependencies.dal.message.count(mailbox, inbox);
+            })
+            .then(function(count) {
+              var maxMessages = self.config.maxmsg;
+
+              // the channel may have hung up in the meantime
+              if (self.state === 'done') {
+                return;
+              }
+
+              dependencies.logger.debug({
+                count: count,
+                maximum: maxMessages
+              }, 'Mailbox message count');
+
+              if (maxMessages && count >= maxMessages) {
+                self.transition('mailboxFull');
+              } else {
+                return self.greetings.choose(mailbox.busy)
+                  .then(function(chosen) {
+                    self.chosenGreetings = chosen;
+
+                    if (self.state !== 'done') {
+                      self.transition('greeting');
+                    }
+                  });
+              }
             })
             .catch(function(err) {
               self.emit('Error', err);
@@ -161,91 +225,121 @@ function fsm(mailbox, channel, dependencies) {
             });
         },
 
-        stop: function() {
-          dependencies.logger.trace('stop called');
+        '*': function() {
+          dependencies.logger.trace('Deferring action until greeting');
 
-          if (this.introPrompt) {
-            this.transition('stoppingPrompt');
-          }
+          this.deferUntilTransition('greeting');
         }
       },
 
-      // stopping intro prompt
-      'stoppingPrompt': {
+      // mailbox cannot hold any more messages
+      'mailboxFull': {
         _onEnter: function() {
-          dependencies.logger.trace('In stoppingPrompt');
+          var self = this;
 
-          this.introPrompt.stop();
+          dependencies.logger.trace('In mailboxFull');
+
+          this.playPrompt('mailboxFull')
+            .then(function(played) {
+              self.emit('Error', new errors.MailboxFullError(
+                  util.format('Mailbox %s is full', mailbox.mailboxNumber)));
+              self.transition('done');
+            })
+            .catch(function(err) {
+              self.emit('Error', err);
+              self.transition('done');
+            });
         }
       },
 
-      // recording a message
-      'recording': {
+      // playing the greeting before recording a message
+      'greeting': {
         _onEnter: function() {
           var self = this;
 
-          dependencies.logger.trace('In recording');
+          dependencies.logger.trace('In greeting');
 
-          this.recording = this.client.LiveRecording();
-          this.recording.name = util.format(
-            'voicemail/%s/%s',
-            mailbox.getId(),
-            this.recording.name
-          );
+          var greeting = this.getSounds('greeting');
+          var intro = this.getSounds('intro');
+          var replacements = {
+            extension: mailbox.mailboxNumber,
+            status: mailbox.busy ? 'vm-isonphone': 'vm-isunavail'
+          };
 
-          var record = Q.denodeify(channel.record.bind(this.client));
+          // prefer the greetings recorded by the mailbox owner
+          if (this.chosenGreetings.greeting) {
+            greeting = this.getSounds('personalGreeting');
+            replacements.greeting = this.chosenGreetings.greeting;
+
+            if (!greeting.length) {
+              greeting = defaultPersonalGreeting;
+            }
+          } else if (this.chosenGreetings.name &&
+                     this.getSounds('greetingName').length) {
+            greeting = this.getSounds('greetingName');
+            replacements.name = this.chosenGreetings.name;
+          }
 
-          record({format: this.config['msg_format']}, this.recording)
-            .then(function(recording) {
-              dependencies.logger.debug({
-                recording: recording
-              }, 'Recording channel');
+          var sounds = greeting.concat(intro);
+
+          this.introPrompt = dependencies.prompt.create(sounds,
+                                                        channel,
+                                                        replacements);
+          this.introPrompt.play()
+            .then(function(played) {
+              self.removeEscapeHandler();
+
+              if (self.state === 'done') {
+                return;
+              }
+
+              if (self.escapeError) {
+                self.emit('Error', self.escapeError);
+                self.transition('done');
+              } else {
+                self.transition('recording');
+              }
             })
             .catch(function(err) {
               self.emit('Error', err);
               self.transition('done');
             });
 
-          this.currentRecordingHandler = this.recordingHandler.bind(this);
-          this.recording.on('RecordingFinished', this.currentRecordingHandler);
+          this.currentEscapeHandler = this.escapeHandler.bind(this);
+          channel.on('ChannelDtmfReceived', this.currentEscapeHandler);
         },
 
         stop: function() {
-          var self = this;
-
           dependencies.logger.trace('stop called');
 
-          if (this.recording) {
-            this.transition('stoppingRecording');
+          if (this.introPrompt) {
+            this.transition('stoppingPrompt');
           }
         }
       },
 
-      'stoppingRecording': {
+      // stopping intro prompt
+      'stoppingPrompt': {
         _onEnter: function() {
-          dependencies.logger.trace('In stoppingRecording');
-
-          var self = this;
-          var stop = Q.denodeify(this.recording.stop.bind(this.recording));
+          dependencies.logger.trace('In stoppingPrompt');
 
-          stop()
-            .catch(function(err) {
-              self.emit('Error', err);
-              self.transition('done');
-            });
+          this.introPrompt.stop();
         }
       },
 
-      // recording finished
       'recordingFinished': {
-        _onEnter: function() {
-          dependencies.logger.trace('In recordingFinished');
-        },
+        markUrgent: function() {
+          dependencies.logger.trace('markUrgent called');
+
+          this.setUrgent();
+        }
+      },
 
-        save: function() {
-          dependencies.logger.trace('save called');
+      'reviewing': {
+        markUrgent: function() {
+          dependencies.logger.trace('markUrgent called');
 
-          this.transition('savingRecording');
+          this.setUrgent();
         }
       },
 
@@ -257,6 +351,11 @@ function fsm(mailbox, channel, dependencies) {
 
           dependencies.logger.trace('In savingRecording');
 
+          if (this.recording.duration < (this.config.minsecs || 0)) {
+            this.transition('discardingRecording');
+            return;
+          }
+
           dependencies.dal.folder.all()
             .then(function(folders) {
               var inbox = folders['0'];
@@ -266,10 +365,12 @@ function fsm(mailbox, channel, dependencies) {
                 {
                   recording: self.recording.name,
                   duration: self.recording.duration,
-                  callerId: channel.caller.name || channel.caller.number
+                  callerId: formatCallerId(channel.caller),
+                  urgent: !!self.urgent
                 }
               );
               message.init();
+              self.message = message;
 
               dependencies.logger.debug({
                 message: message
@@ -278,12 +379,42 @@ function fsm(mailbox, channel, dependencies) {
               return dependencies.dal.message.save(message);
             })
             .then(function() {
+              return mwi.inboxCounts(mailbox, dependencies);
+            })
+            .then(function(counts) {
               var notifier = dependencies.notify.create(mailbox, message);
 
-              return notifier.newMessage();
+              return notifier.newMessage(counts);
             })
             .then(function(mwiCounts) {
-              self.emit('RecordingSaved');
+              // let active readers for this mailbox know right away
+              bus.publish(mailbox, 'MessageSaved', message);
+
+              self.emit('RecordingSaved', true, message);
+              self.transition('done');
+            })
+            .catch(function(err) {
+              self.emit('Error', err);
+              self.transition('done');
+            });
+        }
+      },
+
+      // discarding a recording that is too short to be kept
+      'discardingRecording': {
+        _onEnter: function() {
+          var self = this;
+
+          dependencies.logger.trace('In discardingRecording');
+
+          dependencies.logger.debug({
+            duration: this.recording.duration,
+            minimum: this.config.minsecs
+          }, 'Recording too short, discarding');
+
+          this.deleteRecording()
+            .then(function() {
+              self.emit('RecordingSaved', false);
               self.transition('done');
             })
             .catch(function(err) {
@@ -301,6 +432,7 @@ function fsm(mailbox, channel, dependencies) {
           // cleanup
           this.removeHangupHandler();
           this.removeRecordingHandler();
+          this.removeEscapeHandler();
         },
 
         '*': function() {
@@ -308,11 +440,26 @@ function fsm(mailbox, channel, dependencies) {
         }
       }
     }
-  });
+  }));
 
   return fsmInstance;
 }
 
+/**
+ * Returns the caller id to store with a message, in the "name" <number> form
+ * Asterisk uses when both the caller name and number are known.
+ *
+ * @param {object} caller - the caller of a channel
+ * @returns {string} callerId - the caller id
+ */
+function formatCallerId(caller) {
+  if (caller.name && caller.number) {
+    return util.format('"%s" <%s>', caller.name, caller.number);
+  }
+
+  return caller.name || caller.number;
+}
+
 /**
  * Returns a mailbox writer object that can be used to leave messages.
  *
@@ -328,94 +475,29 @@ function create(mailbox, channel, dependencies) {
 
   var state = fsm(mailbox, channel, dependencies);
 
-  var api = {
-    record: function() {
-      dependencies.logger.trace('record called');
-
-      var deferred = Q.defer();
-
-      state.on('RecordingFinished', onFinished);
-      state.on('Error', onError);
-
-      process.nextTick(function() {
-        state.handle('record');
-      });
-
-      return deferred.promise;
-
-      function onFinished() {
-        dependencies.logger.trace('Received RecordingFinished from fsm');
-
-        removeListeners();
-        deferred.resolve();
-      }
-
-      function onError(err) {
-        dependencies.logger.trace('Received Error from fsm');
-
-        removeListeners();
-        deferred.reject(err);
-      }
-
-      function removeListeners() {
-        dependencies.logger.trace('Removing fsm event handlers');
+  var api = recording.api(state, 'RecordingSaved', dependencies);
 
-        state.off('RecordingFinished', onFinished);
-        state.off('Error', onError);
-      }
-    },
-
-    stop: function() {
-      dependencies.logger.trace('stop called');
-
-      process.nextTick(function() {
-        state.handle('stop');
-      });
-    },
+  api.markUrgent = function() {
+    dependencies.logger.trace('markUrgent called');
 
-    review: function() {
-      dependencies.logger.trace('review called');
-
-      throw new Error('This has not been implemented yet');
-    },
-
-    save: function() {
-      dependencies.logger.trace('save called');
-
-      var deferred = Q.defer();
-
-      state.on('RecordingSaved', onSaved);
-      state.on('Error', onError);
-
-      process.nextTick(function() {
-        state.handle('save');
-      });
-
-      return deferred.promise;
-
-      function onSaved() {
-        dependencies.logger.trace('Received RecordingSaved from fsm');
-
-        removeListeners();
-        deferred.resolve();
-      }
-
-      function onError(err) {
-        dependencies.logger.trace('Received Error from fsm');
+    return recording.handleAndWait(state, 'markUrgent', 'MarkedUrgent',
+                                   dependencies);
+  };
 
-        removeListeners();
-        deferred.reject(err);
-      }
+  var emit = lifecycle.create(api, state, mailbox, channel, function() {
+    return state.message;
+  });
 
-      function removeListeners() {
-        dependencies.logger.trace('Removing fsm event handlers');
+  state.on('RecordingStarted', function() {
+    emit('recordingStarted');
+  });
 
-        state.off('RecordingSaved', onSaved);
-        state.off('Error', onError);
-      }
+  state.on('RecordingSaved', function(saved, message) {
+    if (saved) {
+      emit('recordingSaved', message);
     }
-  };
-  
+  });
+
   dependencies.logger.info('Voicemail mailbox writer created');
 
   return api;
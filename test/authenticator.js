@@ -0,0 +1,446 @@
+/**
+ * Mailbox Authenticator module unit tests.
+ *
+ * @module tests-mailbox-authenticator
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global beforeEach:false*/
+/*global afterEach:false*/
+/*global it:false*/
+
+var mockery = require('mockery');
+var Q = require('q');
+var assert = require('assert');
+var moment = require('moment');
+var Emitter = require('events').EventEmitter;
+
+// names of the prompts played
+var promptsPlayed = [];
+// digits entered, in order, each time the caller is asked for input
+var digitsToEnter = [];
+// mailboxes saved through the dal
+var mailboxesSaved = [];
+// pin stored for the mock mailbox
+var storedPin = '1111';
+// milliseconds to delay async ops for mock requests
+var asyncDelay = 20;
+var mockeryOpts = {
+  warnOnReplace: false,
+  warnOnUnregistered: false,
+  useCleanCache: true
+};
+
+/**
+ * Returns a mock channel for testing.
+ */
+var getMockChannel = function() {
+  var channel = new Emitter();
+  channel.id = 'channel1';
+
+  return channel;
+};
+
+/**
+ * Returns a mock mailbox for testing.
+ */
+var getMockMailbox = function() {
+  return {
+    mailboxNumber: '1234',
+    password: storedPin,
+
+    getId: function() {
+      return 1;
+    }
+  };
+};
+
+/**
+ * Returns a mock config for testing.
+ */
+var getMockConfig = function(settings) {
+  return {
+    getAppConfig: function() {
+      return {
+        authenticator: settings || {digitTimeout: 0.1},
+        prompts: {
+          authenticator: {
+            mailboxNumber: ['mailboxNumber'],
+            password: ['password'],
+            invalidLogin: ['invalidLogin'],
+            mailboxLocked: ['mailboxLocked']
+          }
+        }
+      };
+    }
+  };
+};
+
+/**
+ * Returns a mock dal for testing. Only mailbox 1234 exists.
+ */
+var getMockDal = function() {
+  return {
+    mailbox: {
+      get: function(mailboxNumber, context) {
+        var innerDeferred = Q.defer();
+
+        setTimeout(function() {
+          innerDeferred.resolve(
+            mailboxNumber === '1234' && context ? getMockMailbox() : null);
+        }, asyncDelay);
+
+        return innerDeferred.promise;
+      },
+
+      save: function(mailbox) {
+        mailboxesSaved.push(mailbox);
+        storedPin = mailbox.password;
+
+        return Q.when(mailbox);
+      }
+    }
+  };
+};
+
+/**
+ * Returns a mock prompt helper for testing. The caller enters the next
+ * digits to enter while the mailboxNumber and password prompts play.
+ */
+var getMockPrompt = function() {
+  return {
+    create: function(sounds, channel) {
+      var name = sounds[0];
+      var timer;
+      var deferred = Q.defer();
+
+      return {
+        play: function() {
+          promptsPlayed.push(name);
+
+          if (name === 'mailboxNumber' || name === 'password') {
+            process.nextTick(function() {
+              var digits = digitsToEnter.shift();
+
+              if (digits !== undefined) {
+                digits.split('').forEach(function(digit) {
+                  channel.emit('ChannelDtmfReceived', {digit: digit});
+                });
+              }
+            });
+          }
+
+          timer = setTimeout(function() {
+            deferred.resolve(true);
+          }, asyncDelay);
+
+          return deferred.promise;
+        },
+
+        stop: function() {
+          clearTimeout(timer);
+          deferred.resolve(false);
+        }
+      };
+    }
+  };
+};
+
+/**
+ * Returns a mock logger for testing.
+ */
+var getMockLogger = function() {
+  var logger = {
+    trace: function() {},
+    debug: function() {},
+    info: function() {},
+    warn: function() {},
+    error: function() {},
+    fatal: function() {},
+
+    child: function() {
+      return logger;
+    }
+  };
+
+  return logger;
+};
+
+/**
+ * Returns a mock dependencies object for testing.
+ */
+var getMockDependencies = function(settings) {
+  return {
+    config: getMockConfig(settings),
+    dal: getMockDal(),
+    prompt: getMockPrompt(),
+    logger: getMockLogger()
+  };
+};
+
+describe('mailbox authenticator', function() {
+
+  beforeEach(function(done) {
+    mockery.enable(mockeryOpts);
+
+    done();
+  });
+
+  afterEach(function(done) {
+    mockery.disable();
+    promptsPlayed = [];
+    digitsToEnter = [];
+    mailboxesSaved = [];
+    storedPin = '1111';
+
+    done();
+  });
+
+  it('should support logging into a mailbox', function(done) {
+    var authenticator = require('../lib/mailbox.js')(getMockDependencies())
+      .createAuthenticator(getMockChannel(), {domain: 'email.com'});
+
+    digitsToEnter = ['1234#', '1111#'];
+
+    authenticator.authenticate()
+      .then(function(mailbox) {
+        assert(mailbox.mailboxNumber === '1234');
+        assert.deepEqual(promptsPlayed, ['mailboxNumber', 'password']);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support logging into a known mailbox', function(done) {
+    var authenticator = require('../lib/mailbox.js')(getMockDependencies())
+      .createAuthenticator(getMockChannel(), {domain: 'email.com'});
+
+    // the pin is submitted once no digit is pressed for the digit timeout
+    digitsToEnter = ['1111'];
+
+    authenticator.authenticate('1234')
+      .then(function(mailbox) {
+        assert(mailbox.mailboxNumber === '1234');
+        assert.deepEqual(promptsPlayed, ['password']);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support upgrading a plain text pin', function(done) {
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies());
+
+    digitsToEnter = ['1111#'];
+
+    mailboxHelper
+      .createAuthenticator(getMockChannel(), {domain: 'email.com'})
+      .authenticate('1234')
+      .then(function(mailbox) {
+        return waitForSave();
+      })
+      .then(function() {
+        assert(storedPin.indexOf('pbkdf2-sha256$') === 0);
+
+        // the hashed pin is used from now on
+        digitsToEnter = ['1111#'];
+
+        return mailboxHelper
+          .createAuthenticator(getMockChannel(), {domain: 'email.com'})
+          .authenticate('1234');
+      })
+      .then(function(mailbox) {
+        assert(mailboxesSaved.length === 1);
+
+        done();
+      })
+      .done();
+
+    function waitForSave() {
+      return Q.delay(asyncDelay)
+        .then(function() {
+          return mailboxesSaved.length ? null : waitForSave();
+        });
+    }
+  });
+
+  it('should support retrying after a failed login', function(done) {
+    var authenticator = require('../lib/mailbox.js')(getMockDependencies())
+      .createAuthenticator(getMockChannel(), {domain: 'email.com'});
+
+    digitsToEnter = ['1234#', '2222#', '1234#', '1111#'];
+
+    authenticator.authenticate()
+      .then(function(mailbox) {
+        assert(mailbox.mailboxNumber === '1234');
+        assert.deepEqual(promptsPlayed, [
+          'mailboxNumber', 'password', 'invalidLogin',
+          'mailboxNumber', 'password'
+        ]);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support rejecting after too many failed logins', function(done) {
+    var authenticator = require('../lib/mailbox.js')(getMockDependencies())
+      .createAuthenticator(getMockChannel(), {domain: 'email.com'});
+
+    // unknown mailbox, wrong pin, then nothing at all
+    digitsToEnter = ['9999#', '1111#', '1234#', '2222#'];
+
+    authenticator.authenticate()
+      .catch(function(err) {
+        assert(err.name === 'AuthenticationError');
+        assert.deepEqual(promptsPlayed.filter(function(name) {
+          return name === 'invalidLogin';
+        }), ['invalidLogin', 'invalidLogin', 'invalidLogin']);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support locking a mailbox after failed logins', function(done) {
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies({
+      maxAttempts: 2,
+      lockoutAttempts: 3,
+      digitTimeout: 0.1
+    }));
+
+    digitsToEnter = ['2222#', '3333#'];
+
+    mailboxHelper
+      .createAuthenticator(getMockChannel(), {domain: 'email.com'})
+      .authenticate('1234')
+      .catch(function(err) {
+        assert(err.name === 'AuthenticationError');
+
+        // calling back does not reset the failed logins
+        digitsToEnter = ['4444#'];
+
+        return mailboxHelper
+          .createAuthenticator(getMockChannel(), {domain: 'email.com'})
+          .authenticate('1234');
+      })
+      .catch(function(err) {
+        assert(err.name === 'MailboxLockedError');
+        assert(err.lockedUntil.isAfter(moment.utc()));
+
+        // the caller is not asked for a pin while the mailbox is locked
+        promptsPlayed = [];
+        digitsToEnter = ['1111#'];
+
+        return mailboxHelper
+          .createAuthenticator(getMockChannel(), {domain: 'email.com'})
+          .authenticate('1234');
+      })
+      .catch(function(err) {
+        assert(err.name === 'MailboxLockedError');
+        assert.deepEqual(promptsPlayed, ['mailboxLocked']);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support disabling the lockout', function(done) {
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies({
+      maxAttempts: 1,
+      lockoutAttempts: 0,
+      digitTimeout: 0.1
+    }));
+
+    digitsToEnter = ['2222#'];
+
+    mailboxHelper
+      .createAuthenticator(getMockChannel(), {domain: 'email.com'})
+      .authenticate('1234')
+      .catch(function(err) {
+        assert(err.name === 'AuthenticationError');
+
+        digitsToEnter = ['1111#'];
+
+        return mailboxHelper
+          .createAuthenticator(getMockChannel(), {domain: 'email.com'})
+          .authenticate('1234');
+      })
+      .then(function(mailbox) {
+        assert(mailbox.mailboxNumber === '1234');
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support rejecting when the channel hangs up', function(done) {
+    var channel = getMockChannel();
+    var authenticator = require('../lib/mailbox.js')(getMockDependencies())
+      .createAuthenticator(channel, {domain: 'email.com'});
+
+    authenticator.authenticate()
+      .catch(function(err) {
+        assert(err.name === 'AuthenticationError');
+        assert(channel.listeners('ChannelDtmfReceived').length === 0);
+
+        done();
+      })
+      .done();
+
+    setTimeout(function() {
+      channel.emit('StasisEnd');
+    }, asyncDelay);
+  });
+
+  it('should support hanging up while checking a pin', function(done) {
+    var channel = getMockChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies({
+      lockoutAttempts: 1,
+      digitTimeout: 0.1
+    }));
+
+    // hashed pins take a while to check
+    require('../lib/helpers/pin.js').hash('1111')
+      .then(function(hashed) {
+        storedPin = hashed;
+        digitsToEnter = ['2222#'];
+
+        channel.on('ChannelDtmfReceived', function(event) {
+          if (event.digit === '#') {
+            setTimeout(function() {
+              channel.emit('StasisEnd');
+            }, 1);
+          }
+        });
+
+        return mailboxHelper
+          .createAuthenticator(channel, {domain: 'email.com'})
+          .authenticate('1234');
+      })
+      .catch(function(err) {
+        assert(err.name === 'AuthenticationError');
+
+        // the wrong pin did not count as a failed login
+        digitsToEnter = ['1111#'];
+
+        return mailboxHelper
+          .createAuthenticator(getMockChannel(), {domain: 'email.com'})
+          .authenticate('1234');
+      })
+      .then(function(mailbox) {
+        assert(mailbox.mailboxNumber === '1234');
+        assert(promptsPlayed.indexOf('invalidLogin') === -1);
+
+        done();
+      })
+      .done();
+  });
+
+});
@@ -0,0 +1,475 @@
+/**
+ *  Mailbox Manager specific unit tests.
+ *
+ *  @module manager-test
+ *  @copyright 2014, Digium, Inc.
+ *  @license Apache License, Version 2.0
+ *  @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global beforeEach:false*/
+/*global afterEach:false*/
+/*global before:false*/
+/*global after:false*/
+/*global it:false*/
+
+var assert = require('assert');
+var Q = require('q');
+var mockery = require('mockery');
+var moment = require('moment');
+
+var manager;
+// keeps track of dal operations performed
+var operations = [];
+// keeps track of recordings deleted through ARI
+var recordingsDeleted = [];
+// used to test whether MWI was updated
+var mwiUpdated = false;
+// milliseconds to delay async ops for mock requests
+var asyncDelay = 50;
+var mockeryOpts = {
+  warnOnReplace: false,
+  warnOnUnregistered: false,
+  useCleanCache: true
+};
+
+/**
+ * Returns a mock client.
+ */
+var getMockClient = function() {
+  return {
+    recordings: {
+      deleteStored: function(opts, cb) {
+        setTimeout(function() {
+          recordingsDeleted.push(opts.recordingName);
+          cb(null);
+        }, asyncDelay);
+      }
+    }
+  };
+};
+
+/**
+ * Returns a mock mailbox for testing.
+ */
+var getMockMailbox = function() {
+  return {
+    mailboxNumber: '1234',
+
+    getId: function() {
+      return 1;
+    }
+  };
+};
+
+/**
+ * Returns mock folders for testing keyed by dtmf.
+ */
+var getMockFolders = function() {
+  return {
+    '0': {
+      name: 'INBOX',
+      dtmf: '0'
+    },
+    '1': {
+      name: 'Old',
+      dtmf: '1'
+    },
+    '2': {
+      name: 'Work',
+      dtmf: '2'
+    }
+  };
+};
+
+/**
+ * Returns a mock message for testing, belonging to the mock mailbox unless
+ * another mailbox is given.
+ */
+var getMockMessage = function(id, mailbox) {
+  var folder = getMockFolders()['0'];
+
+  mailbox = mailbox || getMockMailbox();
+
+  return {
+    date: moment.utc(),
+    read: false,
+    urgent: id === 1,
+    callerId: 'me',
+    duration: 10,
+    recording: 'voicemail/1/recording' + id,
+
+    getId: function() {
+      return id;
+    },
+
+    getMailbox: function() {
+      return mailbox;
+    },
+
+    getFolder: function() {
+      return folder;
+    },
+
+    markAsRead: function() {
+      if (!this.read) {
+        this.read = true;
+        return true;
+      }
+
+      return false;
+    }
+  };
+};
+
+/**
+ * Returns a mock dal for testing. Message 404 does not exist.
+ */
+var getMockDal = function() {
+  return {
+    message: {
+      get: function(message) {
+        return delay('get', message.getId() === 404 ? null : message);
+      },
+
+      all: function(mailbox, folder) {
+        return delay('all', [getMockMessage(1), getMockMessage(2)]);
+      },
+
+      count: function(mailbox, folder) {
+        return delay('count', 2);
+      },
+
+      page: function(mailbox, folder, options) {
+        return delay('page', [getMockMessage(1), getMockMessage(2)].slice(
+            options.offset, options.offset + options.limit));
+      },
+
+      markAsRead: function(message) {
+        return delay('markAsRead', true);
+      },
+
+      markAsUnread: function(message) {
+        return delay('markAsUnread', true);
+      },
+
+      changeFolder: function(message, folder) {
+        message.getFolder = function() {
+          return folder;
+        };
+
+        return delay('changeFolder', message);
+      },
+
+      save: function(message) {
+        return delay('save', message);
+      },
+
+      remove: function(message) {
+        return delay('remove', message);
+      }
+    },
+
+    folder: {
+      all: function() {
+        return Q.when(getMockFolders());
+      }
+    }
+  };
+
+  function delay(operation, value) {
+    var innerDeferred = Q.defer();
+
+    setTimeout(function() {
+      operations.push(operation);
+      innerDeferred.resolve(value);
+    }, asyncDelay);
+
+    return innerDeferred.promise;
+  }
+};
+
+/**
+ * Returns a mock config for testing.
+ */
+var getMockConfig = function() {
+  var ariConfig = {
+    url: 'http://localhost:8088',
+    username: 'asterisk',
+    password: 'asterisk',
+    applicationName: 'test'
+  };
+
+  return {
+    getAppConfig: function() {
+      return {
+        ari: ariConfig
+      };
+    }
+  };
+};
+
+/**
+ * Returns a mock notify helper for testing.
+ */
+var getMockNotify = function() {
+  return {
+    create: function(mailbox, message) {
+      return {
+        messageRead: update,
+        messageDeleted: update,
+        newMessage: function() {
+          operations.push('newMessage');
+
+          return update();
+        }
+      };
+    }
+  };
+
+  function update() {
+    mwiUpdated = true;
+
+    return Q.when();
+  }
+};
+
+/**
+ * Returns a mock logger for testing.
+ */
+var getMockLogger = function() {
+  var logger = {
+    trace: function() {},
+    debug: function() {},
+    info: function() {},
+    warn: function() {},
+    error: function() {},
+    fatal: function() {},
+
+    child: function() {
+      return logger;
+    }
+  };
+
+  return logger;
+};
+
+describe('mailbox manager', function() {
+
+  before(function(done) {
+    mockery.enable(mockeryOpts);
+
+    var clientMock = {
+      getClient: function(config, appName) {
+        return Q.when(getMockClient());
+      }
+    };
+    mockery.registerMock('ari-client-wrapper', clientMock);
+
+    done();
+  });
+
+  beforeEach(function(done) {
+    var dependencies = {
+      config: getMockConfig(),
+      dal: getMockDal(),
+      notify: getMockNotify(),
+      logger: getMockLogger()
+    };
+
+    manager = require('../lib/manager.js').create(
+      getMockMailbox(),
+      dependencies
+    );
+
+    done();
+  });
+
+  afterEach(function(done) {
+    operations = [];
+    recordingsDeleted = [];
+    mwiUpdated = false;
+
+    done();
+  });
+
+  after(function(done) {
+    mockery.disable();
+
+    done();
+  });
+
+  it('should support listing messages in a folder', function(done) {
+    manager.list('0')
+      .then(function(messages) {
+        assert(messages.length === 2);
+        assert(operations.indexOf('all') !== -1);
+
+        return manager.list('0', {offset: 1, limit: 20});
+      })
+      .then(function(messages) {
+        assert(messages.length === 1);
+        assert(messages[0].getId() === 2);
+        assert(operations.indexOf('page') !== -1);
+
+        return manager.count('0');
+      })
+      .then(function(count) {
+        assert(count === 2);
+
+        return manager.list('9');
+      })
+      .catch(function(err) {
+        assert(err.name === 'FolderNotFoundError');
+        done();
+      })
+      .done();
+  });
+
+  it('should support getting message metadata', function(done) {
+    manager.getMetadata(getMockMessage(1))
+      .then(function(metadata) {
+        assert(metadata.id === 1);
+        assert(metadata.folder === 'INBOX');
+        assert(metadata.callerId === 'me');
+        assert(metadata.duration === 10);
+        assert(metadata.urgent);
+        assert(!metadata.read);
+
+        return manager.getMetadata(getMockMessage(404));
+      })
+      .catch(function(err) {
+        assert(err.name === 'MessageNotFoundError');
+        done();
+      })
+      .done();
+  });
+
+  it('should support moving a message', function(done) {
+    var message = getMockMessage(2);
+
+    manager.move(message, '2')
+      .then(function(moved) {
+        assert(moved === message);
+        assert(message.read);
+        assert(message.getFolder().name === 'Work');
+        assert(mwiUpdated);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support deleting a message', function(done) {
+    var message = getMockMessage(2);
+    message.intro = 'voicemail/1/intro2';
+
+    manager.delete(message)
+      .then(function() {
+        assert(operations.indexOf('remove') !== -1);
+        assert(mwiUpdated);
+        assert(recordingsDeleted.length === 2);
+        assert(recordingsDeleted[0] === message.recording);
+        assert(recordingsDeleted[1] === message.intro);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support marking a message as read', function(done) {
+    var message = getMockMessage(2);
+
+    manager.markRead(message)
+      .then(function(changed) {
+        assert(changed);
+        assert(message.read);
+        assert(message.getFolder().name === 'Old');
+        assert(mwiUpdated);
+
+        return manager.markRead(message);
+      })
+      .then(function(changed) {
+        assert(!changed);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support marking a message as unread', function(done) {
+    var message = getMockMessage(2);
+    message.read = true;
+
+    manager.markUnread(message)
+      .then(function() {
+        assert(!message.read);
+        assert(message.getFolder().name === 'INBOX');
+        assert(operations.indexOf('markAsUnread') !== -1);
+        assert(operations.indexOf('save') === -1);
+        assert(operations.indexOf('newMessage') === -1);
+        assert(mwiUpdated);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support rejecting messages of another mailbox', function(done) {
+    var other = {
+      mailboxNumber: '5678',
+
+      getId: function() {
+        return 2;
+      }
+    };
+    var message = getMockMessage(2, other);
+
+    manager.delete(message)
+      .catch(function(err) {
+        assert(err.name === 'MessageNotFoundError');
+        assert(operations.indexOf('remove') === -1);
+        assert(!recordingsDeleted.length);
+
+        return manager.getMetadata(message);
+      })
+      .catch(function(err) {
+        assert(err.name === 'MessageNotFoundError');
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support updating MWI when moving read messages', function(done) {
+    var message = getMockMessage(2);
+    message.read = true;
+
+    manager.move(message, '2')
+      .then(function() {
+        // leaving the INBOX changes the counts even if already read
+        assert(mwiUpdated);
+        assert(operations.indexOf('markAsRead') === -1);
+
+        mwiUpdated = false;
+
+        return manager.move(message, '1');
+      })
+      .then(function() {
+        assert(message.getFolder().name === 'Old');
+        assert(!mwiUpdated);
+
+        return manager.move(message, '0');
+      })
+      .then(function() {
+        assert(mwiUpdated);
+
+        done();
+      })
+      .done();
+  });
+
+});
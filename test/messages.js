@@ -111,6 +111,14 @@ var getMockFolders = function() {
     getId: function() {
       return 2;
     }
+  }, {
+    name: 'Work',
+    recording: 'vm-Work',
+    dtmf: '2',
+
+    getId: function() {
+      return 3;
+    }
   }];
 
   return folders;
@@ -244,6 +252,17 @@ var getMockDal = function() {
         return innerDeferred.promise;
       },
 
+      markAsUnread: function(message) {
+        var innerDeferred = Q.defer();
+
+        setTimeout(function() {
+          operations.push('markAsUnread');
+          innerDeferred.resolve(true);
+        }, asyncDelay);
+
+        return innerDeferred.promise;
+      },
+
       changeFolder: function(message, folder) {
         var innerDeferred = Q.defer();
 
@@ -278,8 +297,48 @@ var getMockDal = function() {
           innerDeferred.resolve(getMockMessages());
         }, asyncDelay);
 
+        return innerDeferred.promise;
+      },
+
+      count: function(mailbox, folder) {
+        var innerDeferred = Q.defer();
+
+        setTimeout(function() {
+          operations.push('count');
+          innerDeferred.resolve(getMockMessages().length);
+        }, asyncDelay);
+
+        return innerDeferred.promise;
+      },
+
+      page: function(mailbox, folder, options) {
+        var innerDeferred = Q.defer();
+
+        setTimeout(function() {
+          operations.push('page');
+          innerDeferred.resolve(getMockMessages().slice(
+              options.offset, options.offset + options.limit));
+        }, asyncDelay);
+
+        return innerDeferred.promise;
+      },
+
+      save: function(message) {
+        var innerDeferred = Q.defer();
+
+        setTimeout(function() {
+          operations.push('save');
+          innerDeferred.resolve(message);
+        }, asyncDelay);
+
         return innerDeferred.promise;
       }
+    },
+
+    folder: {
+      all: function() {
+        return Q.when(getMockFolders());
+      }
     }
   };
 };
@@ -341,6 +400,17 @@ var getMockNotify = function() {
             innerDeferred.resolve();
           }, asyncDelay);
 
+          return innerDeferred.promise;
+        },
+
+        newMessage: function(counts) {
+          var innerDeferred = Q.defer();
+
+          setTimeout(function() {
+            mwiUpdated = true;
+            innerDeferred.resolve();
+          }, asyncDelay);
+
           return innerDeferred.promise;
         }
       };
@@ -541,6 +611,306 @@ describe('messages helper', function() {
     done();
   });
 
+  it('should support playing urgent messages first', function(done) {
+    var folders = getMockFolders();
+    var urgentMessages = require('../lib/helpers/messages.js').create(
+      getMockMailbox(),
+      folders,
+      folders[0],
+      {
+        config: getMockConfig(),
+        dal: getMockDal(),
+        notify: getMockNotify(),
+        logger: getMockLogger()
+      }
+    );
+    var message = getMockMessages()[0];
+    message.urgent = true;
+    message.getId = function() {
+      return 6;
+    };
+
+    urgentMessages.load()
+      .then(function() {
+        return urgentMessages.next();
+      })
+      .then(function(current) {
+        urgentMessages.add(message);
+
+        return urgentMessages.current()
+          .then(function(stillCurrent) {
+            assert(stillCurrent.getId() === current.getId());
+            assert(urgentMessages.getOrder() === 2);
+
+            return urgentMessages.first();
+          });
+      })
+      .then(function(first) {
+        assert(first.getId() === 6);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support sorting newest messages first', function(done) {
+    var folders = getMockFolders();
+    var mailboxConfig = getMockConfig();
+    var dal = getMockDal();
+    var sortedMessages;
+    var newMessage = getMockMessages()[0];
+
+    mailboxConfig.getMailboxConfig = function() {
+      return Q.when({sort: 'newest'});
+    };
+    // newest messages first as returned by the dal
+    dal.message.page = function(mailbox, folder, options) {
+      var all = getMockMessages();
+
+      assert(options.sort === 'newest');
+      all.forEach(function(message, index) {
+        message.date = moment.utc().subtract(all.length - index, 'hours');
+      });
+
+      return Q.when(all.reverse());
+    };
+    newMessage.getId = function() {
+      return 5;
+    };
+
+    sortedMessages = require('../lib/helpers/messages.js').create(
+      getMockMailbox(),
+      folders,
+      folders[0],
+      {
+        config: mailboxConfig,
+        dal: dal,
+        notify: getMockNotify(),
+        logger: getMockLogger()
+      }
+    );
+
+    sortedMessages.load()
+      .then(function() {
+        return sortedMessages.first();
+      })
+      .then(function(first) {
+        assert(first.getId() === 4);
+
+        return sortedMessages.next();
+      })
+      .then(function(current) {
+        assert(current.getId() === 3);
+
+        // a new message comes in while listening
+        sortedMessages.add(newMessage);
+
+        return sortedMessages.current()
+          .then(function(stillCurrent) {
+            assert(stillCurrent.getId() === current.getId());
+            assert(sortedMessages.getOrder() === 3);
+            assert(sortedMessages.getCount() === 5);
+
+            return sortedMessages.first();
+          });
+      })
+      .then(function(first) {
+        assert(first.getId() === 5);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support fetching messages a page at a time', function(done) {
+    var folders = getMockFolders();
+    var mailboxConfig = getMockConfig();
+    var pagedMessages;
+
+    mailboxConfig.getMailboxConfig = function() {
+      return Q.when({'page_size': 2});
+    };
+
+    pagedMessages = require('../lib/helpers/messages.js').create(
+      getMockMailbox(),
+      folders,
+      folders[0],
+      {
+        config: mailboxConfig,
+        dal: getMockDal(),
+        notify: getMockNotify(),
+        logger: getMockLogger()
+      }
+    );
+
+    pagedMessages.load()
+      .then(function() {
+        assert(pagedMessages.getCount() === 4);
+
+        return pagedMessages.first();
+      })
+      .then(function(first) {
+        assert(first.getId() === 1);
+
+        return pagedMessages.next();
+      })
+      .then(function(next) {
+        assert(next.getId() === 2);
+
+        return pagedMessages.next();
+      })
+      .then(function(next) {
+        assert(next.getId() === 3);
+        assert(pagedMessages.getOrder() === 3);
+
+        return pagedMessages.next();
+      })
+      .then(function(last) {
+        var pages = operations.filter(function(operation) {
+          return operation === 'page';
+        });
+
+        assert(last.getId() === 4);
+        assert(pages.length === 3);
+        assert(operations.indexOf('all') === -1);
+        assert(operations.indexOf('get') === -1);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support fetching pages once messages leave the folder',
+      function(done) {
+    var folders = getMockFolders();
+    var mailboxConfig = getMockConfig();
+    var dal = getMockDal();
+    var inbox = getMockMessages();
+    var heard = [];
+    var pagedMessages;
+
+    mailboxConfig.getMailboxConfig = function() {
+      return Q.when({'page_size': 2});
+    };
+    // messages marked as read really leave the INBOX
+    dal.message.count = function(mailbox, folder) {
+      return Q.when(inbox.length);
+    };
+    dal.message.page = function(mailbox, folder, options) {
+      return Q.when(inbox.slice(options.offset,
+                                options.offset + options.limit));
+    };
+    dal.message.changeFolder = function(message, folder) {
+      inbox = inbox.filter(function(candidate) {
+        return candidate.getId() !== message.getId();
+      });
+
+      return Q.when(message);
+    };
+
+    pagedMessages = require('../lib/helpers/messages.js').create(
+      getMockMailbox(),
+      folders,
+      folders[0],
+      {
+        config: mailboxConfig,
+        dal: dal,
+        notify: getMockNotify(),
+        logger: getMockLogger()
+      }
+    );
+
+    pagedMessages.load()
+      .then(function() {
+        return pagedMessages.first();
+      })
+      .then(hear)
+      .then(hear)
+      .then(hear)
+      .then(function(last) {
+        heard.push(last.getId());
+
+        assert.deepEqual(heard, [1, 2, 3, 4]);
+        assert(inbox.length === 1);
+
+        done();
+      })
+      .done();
+
+    function hear(message) {
+      heard.push(message.getId());
+
+      return pagedMessages.markAsRead(message)
+        .then(function() {
+          return pagedMessages.next();
+        });
+    }
+  });
+
+  it('should support calculating a message envelope', function(done) {
+    var folders = getMockFolders();
+    var mailboxConfig = getMockConfig();
+    var envelopeMessages;
+    var message = getMockMessages()[0];
+
+    mailboxConfig.getMailboxConfig = function() {
+      return Q.when({
+        tz: 'America/New_York',
+        saycid: 'yes',
+        sayduration: true
+      });
+    };
+
+    envelopeMessages = require('../lib/helpers/messages.js').create(
+      getMockMailbox(),
+      folders,
+      folders[0],
+      {
+        config: mailboxConfig,
+        dal: getMockDal(),
+        notify: getMockNotify(),
+        logger: getMockLogger()
+      }
+    );
+
+    message.callerId = '"Alice" <5551234>';
+    message.duration = 45;
+    message.date = moment.utc('2014-10-01T19:42:00.000Z');
+
+    envelopeMessages.load()
+      .then(function() {
+        var envelope = envelopeMessages.calculateEnvelope(message);
+        var replacements = envelope.replacements;
+
+        assert.deepEqual(envelope.sounds, [
+          'envelopeDate',
+          'envelopeCallerId',
+          'envelopeDuration'
+        ]);
+        assert(replacements.month === 'sound:digits/mon-9');
+        assert(replacements.date === 'number:1');
+        assert(replacements.hour === 'number:3');
+        assert(replacements.minute === 'number:42');
+        assert(replacements.meridiem === 'sound:digits/p-m');
+        assert(replacements.callerId === 'digits:5551234');
+        assert(replacements.duration === 'number:45');
+        assert(replacements.unit === 'sound:seconds');
+
+        message.date = moment.utc();
+        envelope = envelopeMessages.calculateEnvelope(message);
+        assert(envelope.sounds[0] === 'envelopeDay');
+        assert(envelope.replacements.day === 'sound:digits/today');
+
+        // names cannot be read back
+        message.callerId = 'Alice';
+        envelope = envelopeMessages.calculateEnvelope(message);
+        assert(envelope.sounds.indexOf('envelopeCallerId') === -1);
+
+        done();
+      })
+      .done();
+  });
+
   it('should support marking message as read', function(done) {
     messages.current()
       .then(function(message) {
@@ -565,6 +935,55 @@ describe('messages helper', function() {
     }
   });
 
+  it('should support checking whether a message was heard', function(done) {
+    messages.current()
+      .then(function(message) {
+        // default heard share is 75% of the 10 second message
+        assert(!messages.isHeard(message, 5));
+        assert(messages.isHeard(message, 7.5));
+        assert(messages.isHeard(message, 10));
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support marking message as unread', function(done) {
+    var folders = getMockFolders();
+    var oldMessages = require('../lib/helpers/messages.js').create(
+      getMockMailbox(),
+      folders,
+      folders[1],
+      {
+        config: getMockConfig(),
+        dal: getMockDal(),
+        notify: getMockNotify(),
+        logger: getMockLogger()
+      }
+    );
+
+    oldMessages.load()
+      .then(function() {
+        return oldMessages.first();
+      })
+      .then(function(message) {
+        message.read = true;
+
+        return oldMessages.markAsUnread()
+          .then(function(changed) {
+            assert(changed);
+            assert(!message.read);
+            assert(message.getFolder().name === 'INBOX');
+            assert(oldMessages.getCount() === 3);
+            assert(operations.indexOf('markAsUnread') !== -1);
+            assert(mwiUpdated);
+
+            done();
+          });
+      })
+      .done();
+  });
+
   it('should support removing a message', function(done) {
     messages.current()
       .then(function(message) {
@@ -601,6 +1020,144 @@ describe('messages helper', function() {
     }
   });
 
+  it('should support soft deleting a message', function(done) {
+    var folders = getMockFolders();
+    var mailboxConfig = getMockConfig();
+    var softMessages;
+    var deleted;
+
+    folders.push({
+      name: 'Deleted',
+      recording: 'vm-Deleted',
+      dtmf: '3',
+
+      getId: function() {
+        return 4;
+      }
+    });
+    mailboxConfig.getMailboxConfig = function() {
+      return Q.when({
+        'soft_delete': 'yes'
+      });
+    };
+
+    softMessages = require('../lib/helpers/messages.js').create(
+      getMockMailbox(),
+      folders,
+      folders[0],
+      {
+        config: mailboxConfig,
+        dal: getMockDal(),
+        notify: getMockNotify(),
+        logger: getMockLogger()
+      }
+    );
+
+    softMessages.load()
+      .then(function() {
+        return softMessages.first();
+      })
+      .then(function(message) {
+        deleted = message;
+
+        return softMessages.delete();
+      })
+      .then(function() {
+        assert(deleted.deleted);
+        assert(deleted.getFolder().name === 'Deleted');
+        assert(softMessages.getCount() === 4);
+        assert(softMessages.calculateMenu().indexOf('menuUndelete') !== -1);
+        assert(!recordingDeleted);
+        assert(mwiUpdated);
+
+        mwiUpdated = false;
+
+        return softMessages.undelete();
+      })
+      .then(function(restored) {
+        assert(restored);
+        assert(!deleted.deleted);
+        assert(deleted.getFolder().name === 'INBOX');
+        assert(mwiUpdated);
+
+        return softMessages.delete();
+      })
+      .then(function() {
+        return softMessages.purge();
+      })
+      .then(function() {
+        assert(recordingDeleted);
+        assert(mwiUpdated);
+        assert(softMessages.getCount() === 3);
+        assert(!softMessages.currentExists());
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support soft deleting without a Deleted folder', function(done) {
+    var mailboxConfig = getMockConfig();
+    var notify = getMockNotify();
+    var create = notify.create;
+    var notified = [];
+    var softMessages;
+
+    mailboxConfig.getMailboxConfig = function() {
+      return Q.when({
+        'soft_delete': 'yes'
+      });
+    };
+    notify.create = function(mailbox, message) {
+      var notifier = create(mailbox, message);
+
+      Object.keys(notifier).forEach(function(name) {
+        var notifyOf = notifier[name];
+
+        notifier[name] = function() {
+          notified.push(name);
+
+          return notifyOf.apply(notifier, arguments);
+        };
+      });
+
+      return notifier;
+    };
+
+    softMessages = require('../lib/helpers/messages.js').create(
+      getMockMailbox(),
+      getMockFolders(),
+      getMockFolders()[0],
+      {
+        config: mailboxConfig,
+        dal: getMockDal(),
+        notify: notify,
+        logger: getMockLogger()
+      }
+    );
+
+    softMessages.load()
+      .then(function() {
+        return softMessages.first();
+      })
+      .then(function() {
+        return softMessages.delete();
+      })
+      .then(function() {
+        // still in the INBOX until purged
+        assert(notified.length === 0);
+
+        return softMessages.purge();
+      })
+      .then(function() {
+        assert.deepEqual(notified, ['messageDeleted']);
+        assert(recordingDeleted);
+
+        done();
+      })
+      .done();
+  });
+
   it('should support calculating a menu', function(done) {
     messages.next()
       .then(function() {
@@ -613,12 +1170,79 @@ describe('messages helper', function() {
         assert(menu[1] === 'menuRepeat');
         assert(menu[2] === 'menuNext');
         assert(menu[3] === 'menuDelete');
+        assert(menu[4] === 'menuSave');
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support calculating a menu a page at a time', function(done) {
+    var folders = getMockFolders();
+    var mailboxConfig = getMockConfig();
+    var pagedMessages;
+
+    mailboxConfig.getMailboxConfig = function() {
+      return Q.when({'page_size': 2});
+    };
+
+    pagedMessages = require('../lib/helpers/messages.js').create(
+      getMockMailbox(),
+      folders,
+      folders[0],
+      {
+        config: mailboxConfig,
+        dal: getMockDal(),
+        notify: getMockNotify(),
+        logger: getMockLogger()
+      }
+    );
+
+    pagedMessages.load()
+      .then(function() {
+        return pagedMessages.first();
+      })
+      .then(function() {
+        return pagedMessages.next();
+      })
+      .then(function() {
+        // the last message of the first page is not the last message
+        assert(pagedMessages.calculateMenu().indexOf('menuNext') !== -1);
+
+        return pagedMessages.next();
+      })
+      .then(function() {
+        return pagedMessages.next();
+      })
+      .then(function(last) {
+        assert(last.getId() === 4);
+        assert(pagedMessages.calculateMenu().indexOf('menuNext') === -1);
+        assert(pagedMessages.calculateMenu().indexOf('menuPrev') !== -1);
 
         done();
       })
       .done();
   });
 
+  it('should support moving a message to a folder', function(done) {
+    var count = messages.getCount();
+
+    messages.current()
+      .then(function(message) {
+        return messages.move('2')
+          .then(function(moved) {
+            assert(moved.getId() === message.getId());
+            assert(moved.getFolder().name === 'Work');
+            assert(messages.getCount() === count - 1);
+            assert(!messages.currentExists());
+            assert(operations.indexOf('changeFolder') !== -1);
+
+            done();
+          });
+      })
+      .done();
+  });
+
   it('should support changing folder', function(done) {
     var folder = getMockFolders()[1];
 
@@ -0,0 +1,95 @@
+/**
+ *  PIN Helper specific unit tests.
+ *
+ *  @module pin-test
+ *  @copyright 2014, Digium, Inc.
+ *  @license Apache License, Version 2.0
+ *  @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global it:false*/
+
+var assert = require('assert');
+var pin = require('../lib/helpers/pin.js');
+
+describe('pin helper', function() {
+
+  it('should support hashing and verifying pins', function(done) {
+    pin.hash('4096')
+      .then(function(hashed) {
+        assert(pin.isHashed(hashed));
+        assert(hashed.indexOf('4096') === -1);
+
+        return pin.verify(hashed, '4096')
+          .then(function(matches) {
+            assert(matches);
+
+            return pin.verify(hashed, '4097');
+          });
+      })
+      .then(function(matches) {
+        assert(!matches);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support verifying legacy plain text pins', function(done) {
+    assert(!pin.isHashed('4096'));
+
+    pin.verify('4096', '4096')
+      .then(function(matches) {
+        assert(matches);
+
+        return pin.verify('4096', '409');
+      })
+      .then(function(matches) {
+        assert(!matches);
+
+        // mailboxes without a pin can never be logged into
+        return pin.verify('', '');
+      })
+      .then(function(matches) {
+        assert(!matches);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support checking pins of unknown mailboxes', function(done) {
+    pin.verifyUnknown('4096')
+      .then(function(matches) {
+        assert(matches === false);
+
+        return pin.verifyUnknown();
+      })
+      .then(function(matches) {
+        assert(matches === false);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support validating new pins', function(done) {
+    var mailbox = {mailboxNumber: '4100'};
+
+    assert(pin.validate('4096', mailbox, {}) === null);
+    assert(pin.validate('409', mailbox, {}) === 'tooShort');
+    assert(pin.validate('40961', mailbox, {minpassword: 6}) === 'tooShort');
+    assert(pin.validate('40a6', mailbox, {}) === 'notDigits');
+    assert(pin.validate('1111', mailbox, {}) === 'banned');
+    assert(pin.validate('1234', mailbox, {}) === 'banned');
+    assert(pin.validate('8901', mailbox, {}) === 'banned');
+    assert(pin.validate('6543', mailbox, {}) === 'banned');
+    assert(pin.validate('4100', mailbox, {}) === 'banned');
+
+    done();
+  });
+
+});
@@ -29,6 +29,22 @@ var operations = [];
 var promptFinished = false;
 // used to test whether or not the prompt was stopped
 var promptStopped = false;
+// message returned as the current message by the messages helper
+var currentMessage;
+// used to test message being forwarded
+var forwardedMessage = null;
+// used to test whether or not mwi was updated
+var mwiUpdated = false;
+// used to test the sounds of prompts played
+var promptsPlayed = [];
+// playback control operations sent through ARI
+var playbackControls = [];
+// channel variables set through ARI
+var channelVars = {};
+// names of the greetings stored for the mailbox
+var storedGreetings = [];
+// whether messages helper operations should fail
+var operationsFail = false;
 // milliseconds to delay async ops for mock requests
 var asyncDelay = 50;
 // milliseconds to delay for async ops that should take longer
@@ -56,6 +72,72 @@ var getMockClient = function(createNew) {
     this.getChannel = function() {
       return this;
     };
+
+    // actually channel.id
+    this.id = 'channel1';
+
+    // actually channel.setChannelVar (will get denodeified)
+    this.setChannelVar = function(opts, cb) {
+      setTimeout(function() {
+        channelVars[opts.variable] = opts.value;
+        cb(null);
+      }, asyncDelay);
+    };
+
+    // actually client.playbacks (will get denodeified)
+    this.playbacks = {
+      control: function(opts, cb) {
+        setTimeout(function() {
+          playbackControls.push(opts.operation);
+          cb(null);
+        }, asyncDelay);
+      }
+    };
+
+    this.LiveRecording = function() {
+      var recording = new Emitter();
+      recording.name = 'myrecording';
+
+      return recording;
+    };
+
+    // actually channel.record (will get denodeified)
+    this.record = function(opts, recording, cb) {
+      setTimeout(function() {
+        cb(null);
+        recording.emit('RecordingFinished', {}, recording);
+      }, asyncDelay);
+    };
+
+    // actually client.recordings (will get denodeified)
+    this.recordings = {
+      copyStored: function(opts, cb) {
+        setTimeout(function() {
+          operations.push('copyStored');
+          cb(operationsFail ? new Error('copyStored failed') : null);
+        }, asyncDelay);
+      },
+
+      getStored: function(opts, cb) {
+        setTimeout(function() {
+          if (storedGreetings.indexOf(opts.recordingName) !== -1) {
+            cb(null, {name: opts.recordingName});
+          } else {
+            cb(new Error('Recording not found'));
+          }
+        }, asyncDelay);
+      },
+
+      deleteStored: function(opts, cb) {
+        setTimeout(function() {
+          operations.push('deleteStored');
+          storedGreetings = storedGreetings.filter(function(name) {
+            return name !== opts.recordingName;
+          });
+          cb(null);
+        }, asyncDelay);
+      }
+    };
   };
   util.inherits(Client, Emitter);
 
@@ -64,13 +146,44 @@ var getMockClient = function(createNew) {
   return mockClient;
 };
 
+/**
+ * Returns a mock message with the given fields for testing.
+ */
+var getMockMessage = function(fields) {
+  var message = {
+    getId: function() {
+      return 1;
+    }
+  };
+
+  Object.keys(fields).forEach(function(key) {
+    message[key] = fields[key];
+  });
+
+  return message;
+};
+
 /**
  * Returns a mock config for testing.
  */
 var getMockConfig = function() {
+  var ariConfig = {
+    url: 'http://localhost:8088',
+    username: 'asterisk',
+    password: 'asterisk',
+    applicationName: 'test'
+  };
+
   return {
+    getMailboxConfig: function() {
+      return Q.when({
+        'msg_format': 'wav'
+      });
+    },
+
     getAppConfig: function() {
       return {
+        ari: ariConfig,
         prompts: {
           mailboxReader: {
             menuFirst: [{
@@ -79,6 +192,12 @@ var getMockConfig = function() {
               postSilence: 1
             }],
 
+            newMessage: [{
+              sound: 'sound:vm-newuser',
+              skipable: false,
+              postSilence: 1
+            }],
+
             introMessages: [{
               sound: '',
               skipable: false,
@@ -103,6 +222,16 @@ var getMockConfig = function() {
               postSilence: 1
             }],
 
+            changeFolderOption: [{
+              sound: 'digits:{dtmf}',
+              skipable: true,
+              postSilence: 0
+            }, {
+              sound: 'sound:{folder}',
+              skipable: true,
+              postSilence: 1
+            }],
+
             noMore: [{
               sound: '',
               skipable: false,
@@ -126,6 +255,120 @@ var getMockConfig = function() {
               skipable: false,
               postSilence: 1
             }],
+
+            forwardComment: [{
+              sound: '',
+              skipable: false,
+              postSilence: 1
+            }],
+
+            messageForwarded: [{
+              sound: '',
+              skipable: false,
+              postSilence: 1
+            }],
+
+            messageUndeleted: [{
+              sound: 'sound:vm-undeleted',
+              skipable: false,
+              postSilence: 1
+            }],
+
+            undeleteFailed: [{
+              sound: 'sound:vm-undelete-failed',
+              skipable: false,
+              postSilence: 1
+            }],
+
+            messageMarkedUnread: [{
+              sound: 'sound:vm-marked-unread',
+              skipable: false,
+              postSilence: 1
+            }],
+
+            markUnreadFailed: [{
+              sound: 'sound:vm-mark-unread-failed',
+              skipable: false,
+              postSilence: 1
+            }],
+
+            messageSaved: [{
+              sound: 'sound:{folder}',
+              skipable: false,
+              postSilence: 1
+            }],
+
+            saveFailed: [{
+              sound: 'sound:vm-save-failed',
+              skipable: false,
+              postSilence: 1
+            }],
+
+            invalidMailbox: [{
+              sound: '',
+              skipable: false,
+              postSilence: 1
+            }],
+
+            forwardFailed: [{
+              sound: '',
+              skipable: false,
+              postSilence: 1
+            }],
+
+            newPin: [{
+              sound: 'sound:vm-newpassword',
+              skipable: true,
+              postSilence: 1
+            }],
+
+            confirmPin: [{
+              sound: 'sound:vm-reenterpassword',
+              skipable: true,
+              postSilence: 1
+            }],
+
+            invalidPin: [{
+              sound: 'sound:vm-invalid-password',
+              skipable: false,
+              postSilence: 1
+            }],
+
+            pinMismatch: [{
+              sound: 'sound:vm-mismatch',
+              skipable: false,
+              postSilence: 1
+            }],
+
+            optionsMenu: [{
+              sound: 'sound:vm-options',
+              skipable: true,
+              postSilence: 1
+            }],
+
+            invalidOption: [{
+              sound: 'sound:vm-sorry',
+              skipable: false,
+              postSilence: 1
+            }],
+
+            temporaryGreetingOn: [{
+              sound: 'sound:vm-tempremoved',
+              skipable: true,
+              postSilence: 1
+            }],
+
+            temporaryGreetingOff: [{
+              sound: 'sound:vm-rec-temp',
+              skipable: true,
+              postSilence: 1
+            }],
+
+            pinChanged: [{
+              sound: 'sound:vm-passchanged',
+              skipable: false,
+              postSilence: 1
+            }],
           }
         }
       };
@@ -187,6 +430,36 @@ var getMockMessages = function() {
           return innerDeferred.promise;
         },
 
+        getConfig: function() {
+          return {
+            'skip_seconds': 6
+          };
+        },
+
+        calculateEnvelope: function(message) {
+          operations.push('calculateEnvelope');
+          return {
+            sounds: ['envelopeDay'],
+            replacements: {}
+          };
+        },
+
+        undelete: function() {
+          var innerDeferred = Q.defer();
+
+          setTimeout(function() {
+            operations.push('undelete');
+            innerDeferred.resolve(!operationsFail);
+          }, asyncDelay);
+
+          return innerDeferred.promise;
+        },
+
+        purge: function() {
+          operations.push('purge');
+          return Q.when();
+        },
+
         getOrder: function() {
           operations.push('getOrder');
           return 1;
@@ -196,6 +469,47 @@ var getMockMessages = function() {
           operations.push('markAsRead');
         },
 
+        add: function(newMessages) {
+          operations.push('add');
+        },
+
+        isHeard: function(message, seconds) {
+          operations.push('isHeard');
+          return seconds >= message.duration;
+        },
+
+        markAsUnread: function() {
+          var innerDeferred = Q.defer();
+
+          setTimeout(function() {
+            operations.push('markAsUnread');
+
+            if (operationsFail) {
+              innerDeferred.reject(new Error('markAsUnread failed'));
+            } else {
+              innerDeferred.resolve(true);
+            }
+          }, asyncDelay);
+
+          return innerDeferred.promise;
+        },
+
+        move: function(option) {
+          var innerDeferred = Q.defer();
+
+          setTimeout(function() {
+            operations.push('move');
+
+            if (operationsFail) {
+              innerDeferred.reject(new Error('move failed'));
+            } else {
+              innerDeferred.resolve();
+            }
+          }, asyncDelay);
+
+          return innerDeferred.promise;
+        },
+
         changeFolder: function() {
           var innerDeferred = Q.defer();
 
@@ -223,7 +537,7 @@ var getMockMessages = function() {
 
           setTimeout(function() {
             operations.push('current');
-            innerDeferred.resolve();
+            innerDeferred.resolve(currentMessage);
           }, asyncDelay);
 
           return innerDeferred.promise;
@@ -265,10 +579,97 @@ var getMockDal = function() {
         var innerDeferred = Q.defer();
 
         setTimeout(function() {
-          innerDeferred.resolve([{name: 'Inbox'}]);
+          innerDeferred.resolve([{
+            name: 'INBOX',
+            recording: 'vm-INBOX',
+            dtmf: '0'
+          }, {
+            name: 'Old',
+            recording: 'vm-Old',
+            dtmf: '1'
+          }, {
+            name: 'Work',
+            recording: 'vm-Work',
+            dtmf: '2'
+          }]);
+        }, asyncDelay);
+
+        return innerDeferred.promise;
+      }
+    },
+
+    mailbox: {
+      get: function(mailboxNumber, context) {
+        var innerDeferred = Q.defer();
+
+        setTimeout(function() {
+          if (mailboxNumber === '1000') {
+            innerDeferred.resolve({
+              mailboxNumber: mailboxNumber,
+
+              getId: function() {
+                return 2;
+              }
+            });
+          } else {
+            innerDeferred.resolve(null);
+          }
+        }, asyncDelay);
+
+        return innerDeferred.promise;
+      },
+
+      save: function(mailbox) {
+        var innerDeferred = Q.defer();
+
+        setTimeout(function() {
+          operations.push('saveMailbox');
+          innerDeferred.resolve(mailbox);
+        }, asyncDelay);
+
+        return innerDeferred.promise;
+      }
+    },
+
+    message: {
+      create: function(mailbox, folder, fields) {
+        return {
+          init: function() {},
+
+          getId: function() {
+            return 2;
+          },
+
+          getMailbox: function() {
+            return mailbox;
+          },
+
+          recording: fields.recording,
+          duration: fields.duration,
+          callerId: fields.callerId,
+          urgent: fields.urgent,
+          intro: fields.intro
+        };
+      },
+
+      save: function(message) {
+        var innerDeferred = Q.defer();
+
+        setTimeout(function() {
+          forwardedMessage = message;
+          innerDeferred.resolve();
         }, asyncDelay);
 
         return innerDeferred.promise;
+      },
+
+      count: function(mailbox, folder, filter) {
+        if (!forwardedMessage || (filter && filter.urgent &&
+                                  !forwardedMessage.urgent)) {
+          return Q.when(0);
+        }
+
+        return Q.when(1);
       }
     }
   };
@@ -281,15 +682,26 @@ var getMockDal = function() {
  */
 var getMockPrompt = function() {
   var promptHelper = {
-    create: function(sounds, channel) {
+    create: function(sounds, channel, replacements) {
       if (!sounds || !channel) {
         throw new Error('missing arguments');
       }
 
+      promptsPlayed.push(sounds);
+
       return {
         play: function() {
           var innerDeferred = Q.defer();
 
+          // simulate the message recording starting to play
+          if (replacements && replacements.recording) {
+            getMockClient().emit('PlaybackStarted', {}, {
+              id: 'playback1',
+              'target_uri': util.format('channel:%s', channel.id),
+              'media_uri': util.format('recording:%s', replacements.recording)
+            });
+          }
+
           setTimeout(function() {
             var completed = (!promptStopped) ? true: false;
             innerDeferred.resolve(completed);
@@ -309,6 +721,77 @@ var getMockPrompt = function() {
   return promptHelper;
 };
 
+/**
+ * Returns a mock greeting recorder module for testing. Recordings finish
+ * once stopped.
+ */
+var getMockRecorder = function() {
+  return {
+    create: function(mailbox, channel, type, dependencies) {
+      var finished;
+
+      return {
+        record: record,
+        rerecord: record,
+
+        stop: function() {
+          operations.push('stopGreeting');
+          finished.resolve();
+        },
+
+        review: function() {
+          operations.push('reviewGreeting');
+          return Q.delay(asyncDelay);
+        },
+
+        listen: function() {
+          operations.push('listenGreeting');
+          return Q.delay(asyncDelay);
+        },
+
+        save: function() {
+          operations.push(util.format('saveGreeting:%s', type));
+          return Q.delay(asyncDelay);
+        },
+
+        cancel: function() {
+          operations.push('cancelGreeting');
+          return Q.when();
+        }
+      };
+
+      function record() {
+        operations.push(util.format('recordGreeting:%s', type));
+        finished = Q.defer();
+
+        return finished.promise;
+      }
+    }
+  };
+};
+
+/**
+ * Returns a mock notify helper for testing.
+ */
+var getMockNotify = function() {
+  return {
+    create: function(mailbox, message) {
+      return {
+        newMessage: function(counts) {
+          var innerDeferred = Q.defer();
+
+          setTimeout(function() {
+            mwiUpdated = true;
+            innerDeferred.resolve();
+          }, asyncDelay);
+
+          return innerDeferred.promise;
+        }
+      };
+    }
+  };
+};
+
 /**
  * Returns a mock mailbox for testing.
  */
@@ -316,6 +799,14 @@ var getMockMailbox = function() {
   var mailbox = {
     getId: function() {
       return 1;
+    },
+
+    getContext: function() {
+      return {
+        getId: function() {
+          return 1;
+        }
+      };
     }
   };
   
@@ -340,6 +831,15 @@ var getMockLogger = function() {
   };
 };
 
+/**
+ * Returns whether a prompt starting with the given sound has been played.
+ */
+var promptPlayed = function(sound) {
+  return promptsPlayed.some(function(sounds) {
+    return sounds[0] && sounds[0].sound === sound;
+  });
+};
+
 /**
  * Returns mock dependencies for testing.
  */
@@ -348,6 +848,7 @@ var getMockDependencies = function() {
     dal: getMockDal(),
     prompt: getMockPrompt(),
     config: getMockConfig(),
+    notify: getMockNotify(),
     logger: getMockLogger()
   };
 };
@@ -357,11 +858,29 @@ describe('mailbox reader', function() {
   before(function(done) {
     mockery.enable(mockeryOpts);
     mockery.registerMock('./helpers/messages.js', getMockMessages());
+    mockery.registerMock('./recorder.js', getMockRecorder());
+
+    var clientMock = {
+      getClient: function(config, appName) {
+        var deferred = Q.defer();
+
+        if (config.url && config.username &&
+            config.password && appName) {
+          deferred.resolve(getMockClient());
+        }
+
+        return deferred.promise;
+      }
+    };
+    mockery.registerMock('ari-client-wrapper', clientMock);
 
     done();
   });
 
   after(function(done) {
+    // other suites use the real greeting recorder and messages helper
+    mockery.deregisterMock('./recorder.js');
+    mockery.deregisterMock('./helpers/messages.js');
     mockery.disable();
 
     done();
@@ -371,6 +890,14 @@ describe('mailbox reader', function() {
     operations = [];
     promptFinished = false;
     promptStopped = false;
+    currentMessage = undefined;
+    forwardedMessage = null;
+    mwiUpdated = false;
+    promptsPlayed = [];
+    playbackControls = [];
+    channelVars = {};
+    storedGreetings = [];
+    operationsFail = false;
     getMockClient().emit('StasisEnd');
 
     done();
@@ -477,20 +1004,119 @@ describe('mailbox reader', function() {
     }
   });
 
-  it('should support deleting current message', function(done) {
+  it('should support waiting for a message to play', function(done) {
     var channel = getMockClient(true).getChannel();
     var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
       .createReader(getMockMailbox(), channel);
 
-    mailboxHelper.next();
+    // wait for the intro to finish playing
     setTimeout(function() {
-      mailboxHelper.delete();
-      checkSuccess();
-    }, asyncDelay);
+      mailboxHelper.first()
+        .then(function(played) {
+          assert(played);
+          assert(operations.indexOf('first') !== -1);
+
+          // interrupts the menu played after the message
+          return mailboxHelper.delete();
+        })
+        .then(function(played) {
+          assert(typeof played === 'boolean');
+          assert(operations.indexOf('delete') !== -1);
+
+          return mailboxHelper.changeFolder();
+        })
+        .then(function(played) {
+          assert(typeof played === 'boolean');
 
-    function checkSuccess() {
-      setTimeout(function() {
-        if (promptFinished && operations.pop() === 'delete') {
+          done();
+        })
+        .done();
+    }, longAsyncDelay);
+  });
+
+  it('should support interrupting a message that is playing', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+    var interrupted = mailboxHelper.next();
+
+    setTimeout(function() {
+      Q.all([interrupted, mailboxHelper.replay()])
+        .spread(function(first, second) {
+          assert(!first);
+
+          done();
+        })
+        .done();
+    }, longAsyncDelay);
+  });
+
+  it('should support emitting lifecycle events', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+    var states = [];
+
+    currentMessage = getMockMessage({
+      recording: 'voicemail/1/recording1'
+    });
+
+    mailboxHelper.on('stateChanged', function(event) {
+      states.push(event.toState);
+    });
+
+    mailboxHelper.on('messagePlayed', function(event) {
+      assert(event.mailboxId === 1);
+      assert(event.channelId === 'channel1');
+      assert(event.messageId === 1);
+      assert(event.played);
+      assert(states.indexOf('processing') !== -1);
+
+      channel.emit('StasisEnd');
+    });
+
+    mailboxHelper.on('sessionEnded', function(event) {
+      assert(event.messageId === 1);
+      assert(states[states.length - 1] === 'done');
+
+      done();
+    });
+
+    setTimeout(function() {
+      mailboxHelper.replay();
+    }, longAsyncDelay);
+  });
+
+  it('should support rejecting operations once done', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    channel.emit('StasisEnd');
+
+    mailboxHelper.next()
+      .catch(function(err) {
+        assert(err);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support deleting current message', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    mailboxHelper.next();
+    setTimeout(function() {
+      mailboxHelper.delete();
+      checkSuccess();
+    }, asyncDelay);
+
+    function checkSuccess() {
+      setTimeout(function() {
+        if (promptFinished && operations.pop() === 'delete') {
           done();
         } else {
           checkSuccess();
@@ -499,6 +1125,59 @@ describe('mailbox reader', function() {
     }
   });
 
+  it('should support undeleting current message', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    mailboxHelper.next();
+    setTimeout(function() {
+      mailboxHelper.delete();
+
+      mailboxHelper.undelete()
+        .then(function(restored) {
+          assert(restored);
+          assert(operations.indexOf('undelete') !== -1);
+          assert(promptPlayed('sound:vm-undeleted'));
+
+          done();
+        })
+        .done();
+    }, asyncDelay);
+  });
+
+  it('should support failing to undelete a message', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    // nothing is restored
+    operationsFail = true;
+
+    mailboxHelper.undelete()
+      .then(function(restored) {
+        assert(!restored);
+        assert(promptPlayed('sound:vm-undelete-failed'));
+        assert(!promptPlayed('sound:vm-undeleted'));
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support purging deleted messages on hangup', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    setTimeout(function() {
+      channel.emit('StasisEnd');
+      assert(operations.indexOf('purge') !== -1);
+
+      done();
+    }, asyncDelay * 3);
+  });
+
   it('should support changing folders', function(done) {
     var channel = getMockClient(true).getChannel();
     var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
@@ -525,4 +1204,591 @@ describe('mailbox reader', function() {
     }
   });
 
+  it('should support building the change folder menu', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    mailboxHelper.changeFolder();
+
+    setTimeout(function() {
+      var menu = promptsPlayed.filter(function(sounds) {
+        return sounds.length > 1 && sounds[1].sound === 'digits:0';
+      })[0].map(function(part) {
+        return part.sound;
+      });
+
+      assert.deepEqual(menu, [
+        '',
+        'digits:0', 'sound:vm-INBOX',
+        'digits:1', 'sound:vm-Old',
+        'digits:2', 'sound:vm-Work'
+      ]);
+
+      mailboxHelper.submitFolder('2')
+        .then(function() {
+          assert(operations.indexOf('changeFolder') !== -1);
+
+          done();
+        })
+        .done();
+    }, asyncDelay * 5);
+  });
+
+  it('should support rejecting an invalid folder', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    mailboxHelper.changeFolder();
+    mailboxHelper.submitFolder('7');
+
+    setTimeout(function() {
+      assert(operations.indexOf('changeFolder') === -1);
+
+      done();
+    }, asyncDelay * 6);
+  });
+
+  it('should support saving a message to a folder', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    mailboxHelper.save('2')
+      .then(function() {
+        assert(operations.indexOf('move') !== -1);
+        assert(promptPlayed('sound:{folder}'));
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support failing to save a message', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    operationsFail = true;
+
+    mailboxHelper.save('2')
+      .catch(function(err) {
+        assert(err.message === 'move failed');
+        assert(promptPlayed('sound:vm-save-failed'));
+        assert(!promptPlayed('sound:{folder}'));
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support forwarding a message', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    currentMessage = getMockMessage({
+      recording: 'voicemail/1/recording1',
+      duration: 10,
+      callerId: 'me',
+      urgent: true
+    });
+
+    mailboxHelper.forward('1000', true)
+      .then(function() {
+        assert(operations.indexOf('copyStored') !== -1);
+        // the copy gets a name of its own
+        assert(/^voicemail\/2\/[0-9a-f]+$/.test(forwardedMessage.recording));
+        assert(forwardedMessage.intro === 'voicemail/2/myrecording');
+        assert(forwardedMessage.duration === 10);
+        assert(forwardedMessage.urgent);
+        assert(mwiUpdated);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support deleting the comment when forwarding fails',
+      function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    currentMessage = getMockMessage({
+      recording: 'voicemail/1/recording1'
+    });
+    operationsFail = true;
+
+    mailboxHelper.forward('1000', true)
+      .catch(function(err) {
+        assert(!forwardedMessage);
+
+        checkSuccess();
+      })
+      .done();
+
+    function checkSuccess() {
+      setTimeout(function() {
+        if (operations.indexOf('deleteStored') !== -1) {
+          done();
+        } else {
+          checkSuccess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support controlling message playback', function(done) {
+    var client = getMockClient(true);
+    var channel = client.getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    currentMessage = getMockMessage({
+      recording: 'voicemail/1/recording1'
+    });
+
+    client.on('PlaybackStarted', function() {
+      mailboxHelper.skipForward();
+      mailboxHelper.pause();
+    });
+
+    mailboxHelper.replay();
+    checkSuccess();
+
+    function checkSuccess() {
+      setTimeout(function() {
+        if (playbackControls.length === 2) {
+          // forward skips by skip_seconds in a single operation
+          assert.deepEqual(playbackControls, ['forward', 'pause']);
+          assert(promptsPlayed.some(function(sounds) {
+            return sounds.some(function(sound) {
+              return sound.skipms === 6000;
+            });
+          }));
+
+          done();
+        } else {
+          checkSuccess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should only mark messages read once heard', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    currentMessage = getMockMessage({
+      recording: 'voicemail/1/recording1',
+      duration: 60
+    });
+
+    mailboxHelper.replay();
+    checkSuccess();
+
+    function checkSuccess() {
+      setTimeout(function() {
+        if (promptFinished && operations.indexOf('isHeard') !== -1) {
+          assert(operations.indexOf('markAsRead') === -1);
+
+          done();
+        } else {
+          checkSuccess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should not count restarted playback as heard twice', function(done) {
+    var client = getMockClient(true);
+    var channel = client.getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    // the message prompt plays for asyncDelay milliseconds
+    currentMessage = getMockMessage({
+      recording: 'voicemail/1/recording1',
+      duration: asyncDelay * 0.8 / 1000
+    });
+
+    client.on('PlaybackStarted', function() {
+      setTimeout(function() {
+        mailboxHelper.restart();
+      }, asyncDelay * 0.6);
+    });
+
+    mailboxHelper.replay();
+    checkSuccess();
+
+    function checkSuccess() {
+      setTimeout(function() {
+        if (promptFinished && operations.indexOf('isHeard') !== -1) {
+          assert(operations.indexOf('markAsRead') === -1);
+
+          done();
+        } else {
+          checkSuccess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support marking a message as unread', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    mailboxHelper.markUnread()
+      .then(function(changed) {
+        assert(changed);
+        assert(operations.indexOf('markAsUnread') !== -1);
+        assert(promptPlayed('sound:vm-marked-unread'));
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support failing to mark a message as unread', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    operationsFail = true;
+
+    mailboxHelper.markUnread()
+      .catch(function(err) {
+        assert(err.message === 'markAsUnread failed');
+        assert(promptPlayed('sound:vm-mark-unread-failed'));
+        assert(!promptPlayed('sound:vm-marked-unread'));
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support failing operations separately', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    operationsFail = true;
+
+    Q.allSettled([mailboxHelper.markUnread(), mailboxHelper.save('2')])
+      .spread(function(marked, saved) {
+        assert(marked.reason.message === 'markAsUnread failed');
+        assert(saved.reason.message === 'move failed');
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support changing the pin', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailbox = getMockMailbox();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(mailbox, channel);
+
+    mailbox.password = '1111';
+
+    mailboxHelper.changePin()
+      .then(function() {
+        // too short, then a run of digits
+        return mailboxHelper.submitPin('409');
+      })
+      .then(function(result) {
+        assert(result === 'invalid');
+
+        return mailboxHelper.submitPin('1234');
+      })
+      .then(function(result) {
+        assert(result === 'invalid');
+
+        return mailboxHelper.submitPin('4096');
+      })
+      .then(function(result) {
+        assert(result === 'confirm');
+
+        return mailboxHelper.submitPin('4097');
+      })
+      .then(function(result) {
+        assert(result === 'mismatch');
+        assert(operations.indexOf('saveMailbox') === -1);
+
+        return mailboxHelper.submitPin('4096');
+      })
+      .then(function(result) {
+        assert(result === 'confirm');
+
+        return mailboxHelper.submitPin('4096');
+      })
+      .then(function(result) {
+        assert(result === 'changed');
+        assert(operations.indexOf('saveMailbox') !== -1);
+        assert(mailbox.password.indexOf('pbkdf2-sha256$') === 0);
+        assert(promptsPlayed.some(function(sounds) {
+          return sounds[0] && sounds[0].sound === 'sound:vm-passchanged';
+        }));
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support leaving the pin change menu', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    mailboxHelper.changePin()
+      .then(function() {
+        mailboxHelper.previousMenu();
+
+        // back at the main menu, pins are no longer accepted
+        return mailboxHelper.submitPin('4096')
+          .timeout(longAsyncDelay);
+      })
+      .catch(function(err) {
+        assert(operations.indexOf('saveMailbox') === -1);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support recording a greeting from the options', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+    var saved;
+
+    mailboxHelper.on('greetingSaved', function(event) {
+      saved = event.greeting;
+    });
+
+    mailboxHelper.options()
+      .then(function() {
+        return mailboxHelper.submitOption('2');
+      })
+      .then(function() {
+        assert(operations.indexOf('recordGreeting:busy') !== -1);
+
+        // stop recording
+        return mailboxHelper.submitOption('#');
+      })
+      .then(function() {
+        assert(operations.indexOf('reviewGreeting') !== -1);
+
+        // listen, then accept
+        return mailboxHelper.submitOption('2');
+      })
+      .then(function() {
+        assert(operations.indexOf('listenGreeting') !== -1);
+
+        return mailboxHelper.submitOption('1');
+      })
+      .then(function() {
+        assert(operations.indexOf('saveGreeting:busy') !== -1);
+        assert(saved === 'busy');
+
+        // back at the options menu
+        return mailboxHelper.submitOption('3');
+      })
+      .then(function() {
+        assert(operations.indexOf('recordGreeting:name') !== -1);
+
+        mailboxHelper.previousMenu();
+
+        return Q.delay(asyncDelay);
+      })
+      .then(function() {
+        assert(operations.indexOf('cancelGreeting') !== -1);
+        assert(operations.indexOf('saveGreeting:name') === -1);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support removing the temporary greeting', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    storedGreetings = ['voicemail/1/greetings/temporary'];
+
+    mailboxHelper.options()
+      .then(function() {
+        return mailboxHelper.submitOption('4');
+      })
+      .then(function() {
+        assert(promptsPlayed.some(function(sounds) {
+          return sounds[0] && sounds[0].sound === 'sound:vm-tempremoved';
+        }));
+
+        return mailboxHelper.submitOption('2');
+      })
+      .then(function() {
+        assert(operations.indexOf('deleteStored') !== -1);
+        assert(!storedGreetings.length);
+
+        // without a temporary greeting, only recording is offered
+        return mailboxHelper.submitOption('4');
+      })
+      .then(function() {
+        assert(promptsPlayed.some(function(sounds) {
+          return sounds[0] && sounds[0].sound === 'sound:vm-rec-temp';
+        }));
+
+        return mailboxHelper.submitOption('1');
+      })
+      .then(function() {
+        assert(operations.indexOf('recordGreeting:temporary') !== -1);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support changing the pin from the options', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    mailboxHelper.options()
+      .then(function() {
+        return mailboxHelper.submitOption('5');
+      })
+      .then(function() {
+        return mailboxHelper.submitPin('4096');
+      })
+      .then(function(result) {
+        assert(result === 'confirm');
+
+        // leaving the pin change returns to the options menu
+        mailboxHelper.previousMenu();
+
+        return mailboxHelper.submitOption('7');
+      })
+      .then(function() {
+        assert(promptsPlayed.some(function(sounds) {
+          return sounds[0] && sounds[0].sound === 'sound:vm-sorry';
+        }));
+        assert(operations.indexOf('saveMailbox') === -1);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support using the options while saving a pin', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    mailboxHelper.options()
+      .then(function() {
+        return mailboxHelper.submitOption('5');
+      })
+      .then(function() {
+        return mailboxHelper.submitPin('4096');
+      })
+      .then(function() {
+        return mailboxHelper.submitPin('4096');
+      })
+      .then(function(result) {
+        assert(result === 'changed');
+
+        // handled once back at the options menu
+        return mailboxHelper.submitOption('7');
+      })
+      .then(function() {
+        assert(promptsPlayed.some(function(sounds) {
+          return sounds[0] && sounds[0].sound === 'sound:vm-sorry';
+        }));
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support adding messages saved while reading', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailbox = getMockMailbox();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(mailbox, channel);
+    var bus = require('../lib/helpers/bus.js');
+
+    // wait for the reader to be ready
+    setTimeout(function() {
+      bus.publish(mailbox, 'MessageSaved', {
+        recording: 'voicemail/1/recording2'
+      });
+      assert(operations.indexOf('add') !== -1);
+
+      mailboxHelper.next();
+      checkSuccess();
+    }, longAsyncDelay);
+
+    function checkSuccess() {
+      setTimeout(function() {
+        var announced = promptsPlayed.filter(function(sounds) {
+          return sounds[0].sound === 'sound:vm-newuser';
+        });
+
+        if (announced.length) {
+          done();
+        } else {
+          checkSuccess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support changing the volume', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    mailboxHelper.volumeUp();
+    mailboxHelper.volumeUp();
+    mailboxHelper.volumeDown();
+    checkSuccess();
+
+    function checkSuccess() {
+      setTimeout(function() {
+        if (channelVars['VOLUME(TX)'] === '1') {
+          done();
+        } else {
+          checkSuccess();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support forwarding to an unknown mailbox', function(done) {
+    var channel = getMockClient(true).getChannel();
+    var mailbox = require('../lib/mailbox.js');
+    var mailboxHelper = mailbox(getMockDependencies())
+      .createReader(getMockMailbox(), channel);
+
+    currentMessage = getMockMessage({
+      recording: 'voicemail/1/recording1'
+    });
+
+    mailboxHelper.forward('9999')
+      .catch(function(err) {
+        assert(err instanceof mailbox.errors.MailboxNotFoundError);
+        assert(!forwardedMessage);
+
+        done();
+      })
+      .done();
+  });
+
 });
@@ -0,0 +1,567 @@
+/**
+ * Mailbox Greeting Recorder module unit tests.
+ *
+ * @module tests-mailbox-recorder
+ * @copyright 2014, Digium, Inc.
+ * @license Apache License, Version 2.0
+ * @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global beforeEach:false*/
+/*global afterEach:false*/
+/*global it:false*/
+
+var mockery = require('mockery');
+var Q = require('q');
+var assert = require('assert');
+var util = require('util');
+var Emitter = require('events').EventEmitter;
+
+var mockClient;
+// used to test whether or not recording finished
+var recordingFinished = false;
+// used to test whether or not the prompt finished
+var promptFinished = false;
+// names of the stored recordings
+var storedRecordings = [];
+// name of the recording that cannot be copied
+var failCopying;
+// used to keep track of stored recording names deleted through ARI
+var recordingsDeleted = [];
+// milliseconds to delay async ops for mock requests
+var asyncDelay = 50;
+var mockeryOpts = {
+  warnOnReplace: false,
+  warnOnUnregistered: false,
+  useCleanCache: true
+};
+
+/**
+ * Returns a mock client that also acts as a Channel and LiveRecording instance
+ * to allow a single EventEmitter to be used for testing.
+ *
+ * The mock client is cached so tests can access it to emit events if
+ * necessary.
+ */
+var getMockClient = function() {
+
+  if (mockClient) {
+    return mockClient;
+  }
+
+  var Client = function() {
+    this.LiveRecording = function() {
+      // reset recording name
+      this.name = 'myrecording';
+      return this;
+    };
+
+    this.getChannel = function() {
+      return this;
+    };
+
+    // actually recording.name
+    this.name = 'myrecording';
+
+    // actually channel.record (will get denodeified)
+    this.record = function(opts, recording, cb) {
+      this.recordingName = recording.name;
+      setTimeout(function() {
+        cb(null);
+      }, asyncDelay);
+    };
+
+    // actually client.recordings (will get denodeified)
+    this.recordings = {
+      getStored: function(opts, cb) {
+        setTimeout(function() {
+          if (storedRecordings.indexOf(opts.recordingName) !== -1) {
+            cb(null, {name: opts.recordingName});
+          } else {
+            cb(new Error('Recording not found'));
+          }
+        }, asyncDelay);
+      },
+
+      copyStored: function(opts, cb) {
+        setTimeout(function() {
+          if (opts.recordingName === failCopying) {
+            cb(new Error('Copy failed'));
+
+            return;
+          }
+
+          storedRecordings.push(opts.destinationRecordingName);
+          cb(null);
+        }, asyncDelay);
+      },
+
+      deleteStored: function(opts, cb) {
+        setTimeout(function() {
+          recordingsDeleted.push(opts.recordingName);
+          storedRecordings = storedRecordings.filter(function(name) {
+            return name !== opts.recordingName;
+          });
+          cb(null);
+        }, asyncDelay);
+      }
+    };
+
+    // actually recording.stop (will get denodeified)
+    this.stop = function(cb) {
+      var self = this;
+
+      setTimeout(function() {
+        self.emitRecordingFinished();
+        cb(null);
+      }, asyncDelay);
+    };
+
+    this.emitRecordingFinished = function() {
+      recordingFinished = true;
+      storedRecordings.push(this.recordingName);
+      this.emit('RecordingFinished', {event: 'RecordingFinished'}, {
+        name: this.recordingName,
+        duration: asyncDelay,
+
+        removeListener: function() {}
+      });
+    };
+  };
+  util.inherits(Client, Emitter);
+
+  mockClient = new Client();
+
+  return mockClient;
+};
+
+/**
+ * Returns a mock config for testing.
+ */
+var getMockConfig = function() {
+  var ariConfig = {
+    url: 'http://localhost:8088',
+    username: 'asterisk',
+    password: 'asterisk',
+    applicationName: 'test'
+  };
+  var prompt = [{
+    sound: '',
+    skipable: false,
+    postSilence: 1
+  }];
+
+  return {
+    getAppConfig: function() {
+      return {
+        ari: ariConfig,
+        prompts: {
+          greetingRecorder: {
+            unavailable: prompt,
+            busy: prompt,
+            temporary: prompt,
+            name: prompt,
+            reviewMenu: prompt,
+            reviewPlayback: prompt,
+            reviewAccepted: prompt
+          }
+        }
+      };
+    },
+
+    getMailboxConfig: function() {
+      return Q.when({
+        'msg_format': 'wav'
+      });
+    }
+  };
+};
+
+/**
+ * Returns a mock prompt helper for testing.
+ */
+var getMockPrompt = function() {
+  var promptHelper = {
+    create: function(sounds, channel) {
+      if (!sounds || !channel) {
+        throw new Error('missing arguments');
+      }
+
+      return {
+        play: function() {
+          var innerDeferred = Q.defer();
+
+          setTimeout(function() {
+            innerDeferred.resolve(true);
+            promptFinished = true;
+          }, asyncDelay);
+
+          return innerDeferred.promise;
+        },
+
+        stop: function() {}
+      };
+    }
+  };
+
+  return promptHelper;
+};
+
+/**
+ * Returns a mock logger for testing.
+ */
+var getMockLogger = function() {
+  return {
+    child: function() {
+      return {
+        trace: function() {},
+        debug: function() {},
+        info: function() {},
+        warn: function() {},
+        error: function() {},
+        fatal: function() {}
+      };
+    }
+  };
+};
+
+/**
+ * Returns a mock dependencies object for testing.
+ */
+var getMockDependencies = function() {
+  var dependencies = {
+    config: getMockConfig(),
+    prompt: getMockPrompt(),
+    logger: getMockLogger()
+  };
+
+  return dependencies;
+};
+
+/**
+ * Returns a mock mailbox for testing.
+ */
+var getMockMailbox = function() {
+  var mailbox = {
+    getId: function() {
+      return 1;
+    }
+  };
+
+  return mailbox;
+};
+
+describe('mailbox greeting recorder', function() {
+
+  beforeEach(function(done) {
+
+    mockery.enable(mockeryOpts);
+
+    var clientMock = {
+      getClient: function(config, appName) {
+        var deferred = Q.defer();
+
+        if (config.url && config.username &&
+            config.password && appName) {
+          deferred.resolve(getMockClient());
+        }
+
+        return deferred.promise;
+      }
+    };
+    mockery.registerMock('ari-client-wrapper', clientMock);
+
+    done();
+  });
+
+  afterEach(function(done) {
+    mockery.disable();
+    recordingFinished = false;
+    promptFinished = false;
+    storedRecordings = [];
+    failCopying = undefined;
+    recordingsDeleted = [];
+
+    done();
+  });
+
+  it('should support recording a greeting', function(done) {
+    var channel = getMockClient().getChannel();
+    var recorder = require('../lib/mailbox.js')(getMockDependencies())
+      .createGreetingRecorder(getMockMailbox(), channel, 'unavailable');
+
+    storedRecordings = ['voicemail/1/greetings/unavailable'];
+
+    recorder.record()
+      .then(function() {
+        return recorder.save();
+      })
+      .then(function() {
+        assert(recordingFinished);
+        assert.deepEqual(storedRecordings,
+                         ['voicemail/1/greetings/unavailable']);
+        assert(recordingsDeleted.length === 3);
+        assert(recordingsDeleted.indexOf(
+          'voicemail/1/greetings/myrecording') !== -1);
+
+        done();
+      })
+      .done();
+
+    stopInAWhile();
+
+    /**
+     * Call stop on recorder once prompt has finished to simulate user
+     * hearing beep before stopping recording.
+     */
+    function stopInAWhile() {
+      setTimeout(function() {
+        if (promptFinished) {
+          recorder.stop();
+        } else {
+          stopInAWhile();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support keeping the greeting when saving fails', function(done) {
+    var channel = getMockClient().getChannel();
+    var recorder = require('../lib/mailbox.js')(getMockDependencies())
+      .createGreetingRecorder(getMockMailbox(), channel, 'unavailable');
+
+    storedRecordings = ['voicemail/1/greetings/unavailable'];
+    failCopying = 'voicemail/1/greetings/myrecording';
+
+    recorder.record()
+      .then(function() {
+        return recorder.save();
+      })
+      .catch(function(err) {
+        assert(err.message === 'Copy failed');
+        assert.deepEqual(storedRecordings, [
+          'voicemail/1/greetings/myrecording',
+          'voicemail/1/greetings/unavailable'
+        ]);
+
+        done();
+      })
+      .done();
+
+    stopInAWhile();
+
+    /**
+     * Call stop on recorder once prompt has finished to simulate user
+     * hearing beep before stopping recording.
+     */
+    function stopInAWhile() {
+      setTimeout(function() {
+        if (promptFinished) {
+          recorder.stop();
+        } else {
+          stopInAWhile();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support reviewing a greeting', function(done) {
+    var channel = getMockClient().getChannel();
+    var recorder = require('../lib/mailbox.js')(getMockDependencies())
+      .createGreetingRecorder(getMockMailbox(), channel, 'name');
+
+    recorder.record()
+      .then(function() {
+        return recorder.review();
+      })
+      .then(function() {
+        return recorder.listen();
+      })
+      .then(function() {
+        recordingFinished = false;
+        promptFinished = false;
+        stopInAWhile();
+
+        return recorder.rerecord();
+      })
+      .then(function() {
+        assert(recordingFinished);
+        assert(recordingsDeleted[0] === 'voicemail/1/greetings/myrecording');
+
+        return recorder.save();
+      })
+      .then(function() {
+        assert(storedRecordings.indexOf('voicemail/1/greetings/name') !== -1);
+
+        done();
+      })
+      .done();
+
+    stopInAWhile();
+
+    /**
+     * Call stop on recorder once prompt has finished to simulate user
+     * hearing beep before stopping recording.
+     */
+    function stopInAWhile() {
+      setTimeout(function() {
+        if (promptFinished) {
+          recorder.stop();
+        } else {
+          stopInAWhile();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support rejecting invalid greeting types', function(done) {
+    var channel = getMockClient().getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies());
+
+    assert.throws(function() {
+      mailboxHelper.createGreetingRecorder(getMockMailbox(), channel, 'bad');
+    });
+
+    done();
+  });
+
+  it('should support cancelling a greeting being recorded', function(done) {
+    var channel = getMockClient().getChannel();
+    var recorder = require('../lib/mailbox.js')(getMockDependencies())
+      .createGreetingRecorder(getMockMailbox(), channel, 'temporary');
+
+    recorder.record();
+
+    cancelInAWhile();
+
+    function checkSuccess() {
+      setTimeout(function() {
+        if (recordingsDeleted.length) {
+          assert(recordingsDeleted[0] === 'voicemail/1/greetings/myrecording');
+          assert(!storedRecordings.length);
+
+          // cancelling again is harmless once done
+          recorder.cancel()
+            .then(function() {
+              done();
+            })
+            .done();
+        } else {
+          checkSuccess();
+        }
+      }, asyncDelay);
+    }
+
+    /**
+     * Call cancel on recorder once prompt has finished to cancel while
+     * recording.
+     */
+    function cancelInAWhile() {
+      setTimeout(function() {
+        if (promptFinished) {
+          recorder.cancel()
+            .then(function() {
+              assert(recordingFinished);
+              checkSuccess();
+            })
+            .done();
+        } else {
+          cancelInAWhile();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support rejecting when hanging up while recording',
+      function(done) {
+    var channel = getMockClient().getChannel();
+    var recorder = require('../lib/mailbox.js')(getMockDependencies())
+      .createGreetingRecorder(getMockMailbox(), channel, 'busy');
+
+    recorder.record()
+      .catch(function(err) {
+        checkSuccess();
+      })
+      .done();
+
+    hangupInAWhile();
+
+    function checkSuccess() {
+      setTimeout(function() {
+        if (recordingsDeleted.length && recordingFinished) {
+          assert(recordingsDeleted[0] === 'voicemail/1/greetings/myrecording');
+          // only deleted once stored
+          assert(!storedRecordings.length);
+
+          done();
+        } else {
+          checkSuccess();
+        }
+      }, asyncDelay);
+    }
+
+    /**
+     * Hang up once prompt has finished to hang up while recording. The
+     * recording is stored shortly after the channel hangs up.
+     */
+    function hangupInAWhile() {
+      setTimeout(function() {
+        if (promptFinished) {
+          channel.emit('StasisEnd');
+
+          setTimeout(function() {
+            channel.emitRecordingFinished();
+          }, asyncDelay * 2);
+        } else {
+          hangupInAWhile();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support discarding a greeting on hangup', function(done) {
+    var channel = getMockClient().getChannel();
+    var recorder = require('../lib/mailbox.js')(getMockDependencies())
+      .createGreetingRecorder(getMockMailbox(), channel, 'busy');
+
+    recorder.record()
+      .then(function() {
+        channel.emit('StasisEnd');
+        checkSuccess();
+      })
+      .done();
+
+    stopInAWhile();
+
+    function checkSuccess() {
+      setTimeout(function() {
+        if (recordingsDeleted.length) {
+          assert(recordingsDeleted[0] === 'voicemail/1/greetings/myrecording');
+          assert(!storedRecordings.length);
+
+          done();
+        } else {
+          checkSuccess();
+        }
+      }, asyncDelay);
+    }
+
+    /**
+     * Call stop on recorder once prompt has finished to simulate user
+     * hearing beep before stopping recording.
+     */
+    function stopInAWhile() {
+      setTimeout(function() {
+        if (promptFinished) {
+          recorder.stop();
+        } else {
+          stopInAWhile();
+        }
+      }, asyncDelay);
+    }
+  });
+
+});
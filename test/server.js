@@ -0,0 +1,623 @@
+/**
+ *  Mailbox Server specific unit tests.
+ *
+ *  @module server-test
+ *  @copyright 2014, Digium, Inc.
+ *  @license Apache License, Version 2.0
+ *  @author Samuel Fortier-Galarneau <sgalarneau@digium.com>
+ */
+
+'use strict';
+
+/*global describe:false*/
+/*global beforeEach:false*/
+/*global afterEach:false*/
+/*global before:false*/
+/*global after:false*/
+/*global it:false*/
+
+var assert = require('assert');
+var http = require('http');
+var Q = require('q');
+var mockery = require('mockery');
+var moment = require('moment');
+
+var server;
+var port;
+// fake ARI http server serving stored recording files
+var ariServer;
+var ariPort;
+// keeps track of dal operations performed
+var operations = [];
+// keeps track of recordings deleted through ARI
+var recordingsDeleted = [];
+// audio served for stored recordings
+var audio = Buffer.from('0123456789');
+var mockeryOpts = {
+  warnOnReplace: false,
+  warnOnUnregistered: false,
+  useCleanCache: true
+};
+
+/**
+ * Returns a mock client.
+ */
+var getMockClient = function() {
+  return {
+    recordings: {
+      deleteStored: function(opts, cb) {
+        recordingsDeleted.push(opts.recordingName);
+        cb(null);
+      }
+    }
+  };
+};
+
+/**
+ * Returns a mock mailbox for testing.
+ */
+var getMockMailbox = function() {
+  return {
+    mailboxNumber: '1234',
+
+    getId: function() {
+      return 1;
+    }
+  };
+};
+
+/**
+ * Returns mock folders for testing keyed by dtmf.
+ */
+var getMockFolders = function() {
+  return {
+    '0': {
+      name: 'INBOX',
+      dtmf: '0'
+    },
+    '1': {
+      name: 'Old',
+      dtmf: '1'
+    },
+    '2': {
+      name: 'Work',
+      dtmf: '2'
+    }
+  };
+};
+
+/**
+ * Returns a mock message for testing.
+ */
+var getMockMessage = function(id) {
+  var folder = getMockFolders()['0'];
+
+  return {
+    date: moment.utc(),
+    read: false,
+    callerId: 'me',
+    duration: 10,
+    recording: 'voicemail/1/recording' + id,
+
+    getId: function() {
+      return id;
+    },
+
+    getMailbox: getMockMailbox,
+
+    getFolder: function() {
+      return folder;
+    },
+
+    markAsRead: function() {
+      if (!this.read) {
+        this.read = true;
+        return true;
+      }
+
+      return false;
+    }
+  };
+};
+
+/**
+ * Returns a mock dal for testing. Only mailbox 1 and messages 1 and 2 exist.
+ */
+var getMockDal = function() {
+  return {
+    mailbox: {
+      findById: function(id) {
+        return operation('mailbox.findById',
+                         id === '1' ? getMockMailbox() : null);
+      }
+    },
+
+    message: {
+      findById: function(id) {
+        return operation('findById',
+                         ['1', '2'].indexOf(id) !== -1 ?
+                           getMockMessage(parseInt(id, 10)) : null);
+      },
+
+      get: function(message) {
+        return operation('get', message);
+      },
+
+      all: function(mailbox, folder) {
+        return operation('all', [getMockMessage(1), getMockMessage(2)]);
+      },
+
+      page: function(mailbox, folder, options) {
+        return operation('page', [getMockMessage(1), getMockMessage(2)].slice(
+            options.offset, options.offset + options.limit));
+      },
+
+      markAsRead: function(message) {
+        return operation('markAsRead', true);
+      },
+
+      markAsUnread: function(message) {
+        return operation('markAsUnread', true);
+      },
+
+      changeFolder: function(message, folder) {
+        message.getFolder = function() {
+          return folder;
+        };
+
+        return operation('changeFolder', message);
+      },
+
+      save: function(message) {
+        return operation('save', message);
+      },
+
+      remove: function(message) {
+        return operation('remove', message);
+      }
+    },
+
+    folder: {
+      all: function() {
+        return Q.when(getMockFolders());
+      }
+    }
+  };
+
+  function operation(name, value) {
+    operations.push(name);
+
+    return Q.when(value);
+  }
+};
+
+/**
+ * Returns a mock config for testing.
+ */
+var getMockConfig = function() {
+  return {
+    getAppConfig: function() {
+      return {
+        ari: {
+          url: 'http://127.0.0.1:' + ariPort,
+          username: 'asterisk',
+          password: 'asterisk',
+          applicationName: 'test'
+        }
+      };
+    }
+  };
+};
+
+/**
+ * Serves the audio of recording1 the way ARI does, in two chunks.
+ */
+var serveRecording = function(req, res) {
+  var expected = '/ari/recordings/stored/voicemail%2F1%2Frecording1/file';
+  var auth = 'Basic ' + Buffer.from('asterisk:asterisk').toString('base64');
+
+  if (req.url !== expected || req.headers.authorization !== auth) {
+    res.writeHead(404);
+    res.end();
+
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'audio/wav',
+    'Content-Length': audio.length
+  });
+  res.write(audio.slice(0, 5));
+
+  setTimeout(function() {
+    res.end(audio.slice(5));
+  }, 10);
+};
+
+/**
+ * Returns a mock notify helper for testing.
+ */
+var getMockNotify = function() {
+  return {
+    create: function(mailbox, message) {
+      return {
+        messageRead: update,
+        messageDeleted: update,
+        newMessage: update
+      };
+    }
+  };
+
+  function update() {
+    return Q.when();
+  }
+};
+
+/**
+ * Returns a mock logger for testing.
+ */
+var getMockLogger = function() {
+  var logger = {
+    trace: function() {},
+    debug: function() {},
+    info: function() {},
+    warn: function() {},
+    error: function() {},
+    fatal: function() {},
+
+    child: function() {
+      return logger;
+    }
+  };
+
+  return logger;
+};
+
+/**
+ * Mock authorize function for testing. Only rejects requests from the
+ * intruder user.
+ */
+var authorize = function(req, mailbox) {
+  return Q.when(req.headers['x-user'] !== 'intruder');
+};
+
+/**
+ * Sends a request to the server under test.
+ *
+ * @param {string} method - the request method
+ * @param {string} path - the request path
+ * @param {object} options - optional body and headers
+ * @returns {Q} promise - a promise containing the status, headers and body
+ */
+var request = function(method, path, options) {
+  var deferred = Q.defer();
+  options = options || {};
+
+  var req = http.request({
+    host: '127.0.0.1',
+    port: port,
+    method: method,
+    path: path,
+    headers: options.headers || {}
+  }, function(res) {
+    var chunks = [];
+
+    res.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+
+    res.on('end', function() {
+      deferred.resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks)
+      });
+    });
+  });
+
+  req.on('error', deferred.reject);
+  req.end(options.body ? JSON.stringify(options.body) : undefined);
+
+  return deferred.promise;
+};
+
+describe('mailbox server', function() {
+
+  before(function(done) {
+    mockery.enable(mockeryOpts);
+
+    ariServer = http.createServer(serveRecording);
+
+    var clientMock = {
+      getClient: function(config, appName) {
+        return Q.when(getMockClient());
+      }
+    };
+    mockery.registerMock('ari-client-wrapper', clientMock);
+
+    server = require('../lib/server.js').create(authorize, {
+      config: getMockConfig(),
+      dal: getMockDal(),
+      notify: getMockNotify(),
+      logger: getMockLogger()
+    });
+
+    Q.denodeify(ariServer.listen.bind(ariServer))(0, '127.0.0.1')
+      .then(function() {
+        ariPort = ariServer.address().port;
+
+        return server.listen(0, '127.0.0.1');
+      })
+      .then(function() {
+        port = server.address().port;
+        done();
+      })
+      .done();
+  });
+
+  afterEach(function(done) {
+    operations = [];
+    recordingsDeleted = [];
+
+    done();
+  });
+
+  after(function(done) {
+    server.close()
+      .then(function() {
+        return Q.denodeify(ariServer.close.bind(ariServer))();
+      })
+      .then(function() {
+        mockery.disable();
+        done();
+      })
+      .done();
+  });
+
+  it('should support listing messages in a folder', function(done) {
+    request('GET', '/mailboxes/1/folders/0/messages')
+      .then(function(res) {
+        var messages = JSON.parse(res.body);
+
+        assert(res.status === 200);
+        assert(messages.length === 2);
+        assert(messages[0].id === 1);
+        assert(messages[0].folder === 'INBOX');
+
+        return request('GET', '/mailboxes/1/folders/0/messages?offset=1');
+      })
+      .then(function(res) {
+        var messages = JSON.parse(res.body);
+
+        assert(res.status === 200);
+        assert(messages.length === 1);
+        assert(messages[0].id === 2);
+        assert(operations.indexOf('page') !== -1);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support rejecting unknown resources', function(done) {
+    request('GET', '/mailboxes/2/folders/0/messages')
+      .then(function(res) {
+        assert(res.status === 404);
+
+        return request('GET', '/mailboxes/1/folders/9/messages');
+      })
+      .then(function(res) {
+        assert(res.status === 404);
+
+        return request('DELETE', '/messages/3');
+      })
+      .then(function(res) {
+        assert(res.status === 404);
+
+        return request('GET', '/unknown');
+      })
+      .then(function(res) {
+        assert(res.status === 404);
+
+        return request('GET', '/mailboxes/1/folders/0/messages?limit=many');
+      })
+      .then(function(res) {
+        assert(res.status === 400);
+
+        return request('DELETE', '/messages/%E0%A4%A');
+      })
+      .then(function(res) {
+        assert(res.status === 400);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support rejecting invalid pages', function(done) {
+    var path = '/mailboxes/1/folders/0/messages';
+
+    request('GET', path + '?limit=1000')
+      .then(function(res) {
+        assert(res.status === 400);
+
+        return request('GET', path + '?limit=0');
+      })
+      .then(function(res) {
+        assert(res.status === 400);
+
+        return request('GET', path + '?offset=-1');
+      })
+      .then(function(res) {
+        assert(res.status === 400);
+
+        return request('GET', path + '?limit=10&sort=random');
+      })
+      .then(function(res) {
+        assert(res.status === 400);
+        assert(operations.indexOf('page') === -1);
+
+        return request('GET', path + '?limit=100&sort=newest');
+      })
+      .then(function(res) {
+        assert(res.status === 200);
+        assert(operations.indexOf('page') !== -1);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support rejecting unauthorized requests', function(done) {
+    var intruder = {headers: {'X-User': 'intruder'}};
+
+    request('GET', '/mailboxes/1/folders/0/messages', intruder)
+      .then(function(res) {
+        assert(res.status === 403);
+
+        return request('DELETE', '/messages/1', intruder);
+      })
+      .then(function(res) {
+        assert(res.status === 403);
+        assert(operations.indexOf('remove') === -1);
+        assert(recordingsDeleted.length === 0);
+
+        return request('GET', '/messages/1/recording', intruder);
+      })
+      .then(function(res) {
+        assert(res.status === 403);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support requiring an authorize function', function(done) {
+    assert.throws(function() {
+      require('../lib/server.js').create(undefined, {
+        config: getMockConfig(),
+        dal: getMockDal(),
+        notify: getMockNotify(),
+        logger: getMockLogger()
+      });
+    }, TypeError);
+
+    done();
+  });
+
+  it('should support deleting a message', function(done) {
+    request('DELETE', '/messages/1')
+      .then(function(res) {
+        assert(res.status === 204);
+        assert(operations.indexOf('remove') !== -1);
+        assert(recordingsDeleted[0] === 'voicemail/1/recording1');
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support moving a message', function(done) {
+    request('POST', '/messages/2/move', {body: {folder: '2'}})
+      .then(function(res) {
+        var message = JSON.parse(res.body);
+
+        assert(res.status === 200);
+        assert(message.folder === 'Work');
+        assert(message.read);
+
+        return request('POST', '/messages/2/move', {body: {}});
+      })
+      .then(function(res) {
+        assert(res.status === 400);
+
+        return request('POST', '/messages/2/move', {
+          body: {folder: new Array(8192).join('2')}
+        });
+      })
+      .then(function(res) {
+        assert(res.status === 400);
+        assert(res.headers.connection === 'close');
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support marking a message as read or unread', function(done) {
+    request('POST', '/messages/1/read')
+      .then(function(res) {
+        var message = JSON.parse(res.body);
+
+        assert(res.status === 200);
+        assert(message.read);
+        assert(message.folder === 'Old');
+
+        return request('POST', '/messages/1/read', {body: {read: false}});
+      })
+      .then(function(res) {
+        var message = JSON.parse(res.body);
+
+        assert(res.status === 200);
+        assert(!message.read);
+        assert(message.folder === 'INBOX');
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support streaming a recording', function(done) {
+    request('GET', '/messages/1/recording')
+      .then(function(res) {
+        assert(res.status === 200);
+        assert(res.headers['content-type'] === 'audio/wav');
+        assert(res.headers['accept-ranges'] === 'bytes');
+        assert(res.body.toString() === '0123456789');
+
+        return request('GET', '/messages/1/recording', {
+          headers: {Range: 'bytes=2-5'}
+        });
+      })
+      .then(function(res) {
+        assert(res.status === 206);
+        assert(res.headers['content-range'] === 'bytes 2-5/10');
+        assert(res.body.toString() === '2345');
+
+        return request('GET', '/messages/1/recording', {
+          headers: {Range: 'bytes=-3'}
+        });
+      })
+      .then(function(res) {
+        assert(res.status === 206);
+        assert(res.body.toString() === '789');
+
+        // the range spans both chunks sent by ARI
+        return request('GET', '/messages/1/recording', {
+          headers: {Range: 'bytes=4-6'}
+        });
+      })
+      .then(function(res) {
+        assert(res.status === 206);
+        assert(res.body.toString() === '456');
+
+        return request('GET', '/messages/2/recording');
+      })
+      .then(function(res) {
+        // recording2 is missing from ARI
+        assert(res.status === 500);
+
+        return request('GET', '/messages/1/recording', {
+          headers: {Range: 'bytes=20-'}
+        });
+      })
+      .then(function(res) {
+        assert(res.status === 416);
+        assert(res.headers['content-range'] === 'bytes */10');
+
+        done();
+      })
+      .done();
+  });
+
+});
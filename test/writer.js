@@ -30,8 +30,22 @@ var promptFinished = false;
 var promptStopped = false;
 // used to test whether or not mwi was updated
 var mwiUpdated = false;
+// used to test the message counts mwi was updated with
+var mwiCounts = null;
 // used to test message being saved
 var message = null;
+// number of messages saved
+var messagesSaved = 0;
+// used to test whether or not a recording was deleted through ARI
+var recordingDeleted = false;
+// used to test the options a recording was started with
+var recordingOptions = null;
+// number of messages currently in the mailbox inbox
+var inboxCount = 0;
+// names of the greetings stored for the mailbox
+var storedGreetings = [];
+// used to test the sounds and replacements of prompts played
+var promptsPlayed = [];
 // milliseconds to delay async ops for mock requests
 var asyncDelay = 100;
 var mockeryOpts = {
@@ -76,11 +90,32 @@ var getMockClient = function() {
     // actually channel.record (will get denodeified)
     this.record = function(opts, recording, cb) {
       this.recordingName = recording.name;
+      recordingOptions = opts;
       setTimeout(function() {
         cb(null);
       }, asyncDelay);
     };
 
+    // actually client.recordings.deleteStored (will get denodeified)
+    this.recordings = {
+      getStored: function(opts, cb) {
+        setTimeout(function() {
+          if (storedGreetings.indexOf(opts.recordingName) !== -1) {
+            cb(null, {name: opts.recordingName});
+          } else {
+            cb(new Error('Recording not found'));
+          }
+        }, asyncDelay);
+      },
+
+      deleteStored: function(opts, cb) {
+        setTimeout(function() {
+          recordingDeleted = true;
+          cb(null);
+        }, asyncDelay);
+      }
+    };
+
     // actually client.mailboxes.update (will get denodeified)
     this.mailboxes = {
       update: function(opts, cb) {
@@ -134,10 +169,46 @@ var getMockConfig = function() {
         ari: ariConfig,
         prompts: {
           mailboxWriter: {
+            greeting: [{
+              sound: 'sound:vm-theperson',
+              skipable: true,
+              postSilence: 0
+            }],
+
+            personalGreeting: [{
+              sound: 'recording:{greeting}',
+              skipable: true,
+              postSilence: 0
+            }],
+
             intro: [{
               sound: '',
               skipable: false,
               postSilence: 1
+            }],
+
+            reviewMenu: [{
+              sound: '',
+              skipable: true,
+              postSilence: 1
+            }],
+
+            reviewPlayback: [{
+              sound: '',
+              skipable: true,
+              postSilence: 1
+            }],
+
+            reviewRerecord: [{
+              sound: '',
+              skipable: false,
+              postSilence: 1
+            }],
+
+            reviewAccepted: [{
+              sound: 'vm-msgsaved',
+              skipable: false,
+              postSilence: 1
             }]
           }
         }
@@ -181,6 +252,10 @@ var getMockDal = function() {
           init: function() {
           },
 
+          getId: function() {
+            return 1;
+          },
+
           getMailbox: function() {
             return mailbox;
           },
@@ -191,15 +266,31 @@ var getMockDal = function() {
 
           recording: fields.recording,
           duration: fields.duration,
-          callerId: fields.callerId
+          callerId: fields.callerId,
+          urgent: fields.urgent
         };
       },
 
+      count: function(mailbox, folder, filter) {
+        var innerDeferred = Q.defer();
+
+        setTimeout(function() {
+          if (filter && filter.urgent) {
+            innerDeferred.resolve(message && message.urgent ? 1 : 0);
+          } else {
+            innerDeferred.resolve(inboxCount + (message ? 1 : 0));
+          }
+        }, asyncDelay);
+
+        return innerDeferred.promise;
+      },
+
       save: function(msg) {
         var innerDeferred = Q.defer();
 
         setTimeout(function() {
           message = msg;
+          messagesSaved += 1;
           innerDeferred.resolve();
         }, asyncDelay);
 
@@ -216,11 +307,16 @@ var getMockDal = function() {
  */
 var getMockPrompt = function() {
   var promptHelper = {
-    create: function(sounds, channel) {
+    create: function(sounds, channel, replacements) {
       if (!sounds || !channel) {
         throw new Error('missing arguments');
       }
 
+      promptsPlayed.push({
+        sounds: sounds,
+        replacements: replacements
+      });
+
       return {
         play: function() {
           var innerDeferred = Q.defer();
@@ -250,11 +346,12 @@ var getMockNotify = function() {
   return {
     create: function(mailbox, message) {
       return {
-        newMessage: function() {
+        newMessage: function(counts) {
           var innerDeferred = Q.defer();
 
           setTimeout(function() {
             mwiUpdated = true;
+            mwiCounts = counts;
             innerDeferred.resolve();
           }, asyncDelay);
 
@@ -336,11 +433,18 @@ describe('mailbox', function() {
 
   afterEach(function(done) {
     mockery.disable();
+    messagesSaved = 0;
     recordingFinished = false;
     promptFinished = false;
     promptStopped = false;
     mwiUpdated = false;
+    mwiCounts = null;
     message = null;
+    recordingDeleted = false;
+    recordingOptions = null;
+    inboxCount = 0;
+    storedGreetings = [];
+    promptsPlayed = [];
 
     done();
   });
@@ -350,7 +454,23 @@ describe('mailbox', function() {
     var channel = getMockClient().getChannel();
     var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
       .createWriter(getMockMailbox(), channel);
-
+    var published;
+    var events = [];
+
+    mailboxHelper.on('recordingStarted', function(event) {
+      events.push('recordingStarted');
+    });
+
+    mailboxHelper.on('recordingSaved', function(event) {
+      assert(event.mailboxId === 1);
+      assert(event.messageId === 1);
+      events.push('recordingSaved');
+    });
+
+    require('../lib/helpers/bus.js').subscribe(
+      getMockMailbox(), 'MessageSaved', function(saved) {
+        published = saved;
+      });
 
     mailboxHelper.record()
       .then(function() {
@@ -362,6 +482,9 @@ describe('mailbox', function() {
         assert(mwiUpdated);
         assert(message.recording === 'voicemail/1/myrecording');
         assert(message.duration === asyncDelay);
+        assert(message.callerId === '"caller" <1234>');
+        assert(published === message);
+        assert.deepEqual(events, ['recordingStarted', 'recordingSaved']);
 
         done();
       })
@@ -427,6 +550,437 @@ describe('mailbox', function() {
     }
   });
 
+  it('should support reviewing a message', function(done) {
+    // recording twice and saving takes more than the default timeout
+    this.timeout(asyncDelay * 40);
+
+    var ari = require('ari-client-wrapper');
+    var channel = getMockClient().getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createWriter(getMockMailbox(), channel);
+
+    mailboxHelper.record()
+      .then(function() {
+        return mailboxHelper.review();
+      })
+      .then(function() {
+        return mailboxHelper.listen();
+      })
+      .then(function() {
+        recordingFinished = false;
+        promptFinished = false;
+        stopInAWhile();
+
+        return mailboxHelper.rerecord();
+      })
+      .then(function() {
+        assert(recordingDeleted);
+        assert(recordingFinished);
+
+        return mailboxHelper.review();
+      })
+      .then(function() {
+        // pressing the accept key twice only saves one message
+        return Q.all([mailboxHelper.save(), mailboxHelper.save()]);
+      })
+      .then(function() {
+        var accepted = promptsPlayed.filter(function(prompt) {
+          return prompt.sounds[0].sound === 'vm-msgsaved';
+        });
+
+        assert(mwiUpdated);
+        assert(message.recording === 'voicemail/1/myrecording');
+        assert(messagesSaved === 1);
+        assert(accepted.length === 1);
+
+        done();
+      })
+      .done();
+
+    stopInAWhile();
+
+    /**
+     * Call stop on mailbox helper once prompt has finished to simulate user
+     * hearing beep before stopping recording.
+     */
+    function stopInAWhile() {
+      setTimeout(function() {
+        if (promptFinished) {
+          mailboxHelper.stop();
+        } else {
+          stopInAWhile();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support marking a message as urgent', function(done) {
+    var ari = require('ari-client-wrapper');
+    var channel = getMockClient().getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createWriter(getMockMailbox(), channel);
+
+    inboxCount = 1;
+
+    mailboxHelper.record()
+      .then(function() {
+        return mailboxHelper.markUrgent();
+      })
+      .then(function() {
+        return mailboxHelper.save();
+      })
+      .then(function() {
+        assert(message.urgent === true);
+        assert(mwiCounts.urgent === 1);
+        assert(mwiCounts.normal === 1);
+
+        done();
+      })
+      .done();
+
+    stopInAWhile();
+
+    /**
+     * Call stop on mailbox helper once prompt has finished to simulate user
+     * hearing beep before stopping recording.
+     */
+    function stopInAWhile() {
+      setTimeout(function() {
+        if (promptFinished) {
+          mailboxHelper.stop();
+        } else {
+          stopInAWhile();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support discarding a short recording', function(done) {
+    var ari = require('ari-client-wrapper');
+    var channel = getMockClient().getChannel();
+    var dependencies = getMockDependencies();
+    var mailboxHelper = require('../lib/mailbox.js')(dependencies)
+      .createWriter(getMockMailbox(), channel);
+
+    dependencies.config.getMailboxConfig = function() {
+      return Q.when({
+        'msg_format': 'wav',
+        minsecs: asyncDelay + 1
+      });
+    };
+
+    mailboxHelper.record()
+      .then(function() {
+        return mailboxHelper.save();
+      })
+      .then(function(saved) {
+        assert(!saved);
+        assert(recordingDeleted);
+        assert(!mwiUpdated);
+        assert(message === null);
+
+        done();
+      })
+      .done();
+
+    stopInAWhile();
+
+    /**
+     * Call stop on mailbox helper once prompt has finished to simulate user
+     * hearing beep before stopping recording.
+     */
+    function stopInAWhile() {
+      setTimeout(function() {
+        if (promptFinished) {
+          mailboxHelper.stop();
+        } else {
+          stopInAWhile();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support configuring recording options', function(done) {
+    var ari = require('ari-client-wrapper');
+    var channel = getMockClient().getChannel();
+    var dependencies = getMockDependencies();
+    var mailboxHelper = require('../lib/mailbox.js')(dependencies)
+      .createWriter(getMockMailbox(), channel);
+
+    dependencies.config.getMailboxConfig = function() {
+      return Q.when({
+        'msg_format': 'wav',
+        maxsecs: 180,
+        maxsilence: 5,
+        beep: true
+      });
+    };
+
+    mailboxHelper.record()
+      .then(function() {
+        assert(recordingOptions.format === 'wav');
+        assert(recordingOptions.maxDurationSeconds === 180);
+        assert(recordingOptions.maxSilenceSeconds === 5);
+        assert(recordingOptions.terminateOn === '#');
+        assert(recordingOptions.beep === true);
+        assert(recordingOptions.ifExists === 'fail');
+
+        done();
+      })
+      .done();
+
+    // simulate recording being terminated by silence or dtmf
+    finishInAWhile();
+
+    function finishInAWhile() {
+      setTimeout(function() {
+        if (recordingOptions) {
+          channel.emitRecordingFinished();
+        } else {
+          finishInAWhile();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support rejecting messages when mailbox is full',
+      function(done) {
+    var ari = require('ari-client-wrapper');
+    var channel = getMockClient().getChannel();
+    var dependencies = getMockDependencies();
+    var mailbox = require('../lib/mailbox.js');
+    var mailboxHelper = mailbox(dependencies)
+      .createWriter(getMockMailbox(), channel);
+
+    inboxCount = 2;
+    dependencies.config.getMailboxConfig = function() {
+      return Q.when({
+        'msg_format': 'wav',
+        maxmsg: 2
+      });
+    };
+    // messages are counted without being loaded
+    dependencies.dal.message.all = function() {
+      return Q.reject(new Error('messages loaded to count them'));
+    };
+
+    mailboxHelper.record()
+      .then(function() {
+        assert(false, 'record should not succeed for a full mailbox');
+      })
+      .catch(function(err) {
+        assert(err instanceof mailbox.errors.MailboxFullError);
+        assert(promptFinished);
+        assert(!recordingOptions);
+
+        done();
+      })
+      .done();
+  });
+
+  it('should support playing a personal greeting', function(done) {
+    var ari = require('ari-client-wrapper');
+    var channel = getMockClient().getChannel();
+    var mailbox = getMockMailbox();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createWriter(mailbox, channel);
+
+    mailbox.busy = true;
+    storedGreetings = [
+      'voicemail/1/greetings/unavailable',
+      'voicemail/1/greetings/busy'
+    ];
+
+    mailboxHelper.record()
+      .then(function() {
+        var greeting = promptsPlayed[0];
+
+        assert(greeting.sounds[0].sound === 'recording:{greeting}');
+        assert(greeting.replacements.greeting ===
+               'voicemail/1/greetings/busy');
+
+        done();
+      })
+      .done();
+
+    stopInAWhile();
+
+    /**
+     * Call stop on mailbox helper once prompt has finished to simulate user
+     * hearing beep before stopping recording.
+     */
+    function stopInAWhile() {
+      setTimeout(function() {
+        if (promptFinished) {
+          mailboxHelper.stop();
+        } else {
+          stopInAWhile();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support playing a personal greeting without a prompt',
+      function(done) {
+    var ari = require('ari-client-wrapper');
+    var channel = getMockClient().getChannel();
+    var dependencies = getMockDependencies();
+    var getAppConfig = dependencies.config.getAppConfig;
+
+    dependencies.config.getAppConfig = function() {
+      var appConfig = getAppConfig();
+      delete appConfig.prompts.mailboxWriter.personalGreeting;
+
+      return appConfig;
+    };
+
+    var mailboxHelper = require('../lib/mailbox.js')(dependencies)
+      .createWriter(getMockMailbox(), channel);
+
+    storedGreetings = ['voicemail/1/greetings/unavailable'];
+
+    mailboxHelper.record()
+      .then(function() {
+        var greeting = promptsPlayed[0];
+
+        assert(greeting.sounds[0].sound === 'recording:{greeting}');
+        assert(greeting.replacements.greeting ===
+               'voicemail/1/greetings/unavailable');
+
+        done();
+      })
+      .done();
+
+    stopInAWhile();
+
+    /**
+     * Call stop on mailbox helper once prompt has finished to simulate user
+     * hearing beep before stopping recording.
+     */
+    function stopInAWhile() {
+      setTimeout(function() {
+        if (promptFinished) {
+          mailboxHelper.stop();
+        } else {
+          stopInAWhile();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support falling back to the default greeting', function(done) {
+    var ari = require('ari-client-wrapper');
+    var channel = getMockClient().getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createWriter(getMockMailbox(), channel);
+
+    mailboxHelper.record()
+      .then(function() {
+        var greeting = promptsPlayed[0];
+
+        assert(greeting.sounds[0].sound === 'sound:vm-theperson');
+        assert(greeting.replacements.status === 'vm-isunavail');
+        assert(!greeting.replacements.greeting);
+
+        done();
+      })
+      .done();
+
+    stopInAWhile();
+
+    /**
+     * Call stop on mailbox helper once prompt has finished to simulate user
+     * hearing beep before stopping recording.
+     */
+    function stopInAWhile() {
+      setTimeout(function() {
+        if (promptFinished) {
+          mailboxHelper.stop();
+        } else {
+          stopInAWhile();
+        }
+      }, asyncDelay);
+    }
+  });
+
+  it('should support escaping to the operator', function(done) {
+    var ari = require('ari-client-wrapper');
+    var channel = getMockClient().getChannel();
+    var dependencies = getMockDependencies();
+    var mailbox = require('../lib/mailbox.js');
+    var mailboxHelper = mailbox(dependencies)
+      .createWriter(getMockMailbox(), channel);
+
+    dependencies.config.getMailboxConfig = function() {
+      return Q.when({
+        'msg_format': 'wav',
+        operator: '100'
+      });
+    };
+
+    mailboxHelper.record()
+      .then(function() {
+        assert(false, 'record should not succeed after escaping');
+      })
+      .catch(function(err) {
+        assert(err instanceof mailbox.errors.EscapeError);
+        assert(err.reason === 'operator');
+        assert(err.extension === '100');
+        assert(promptStopped);
+        assert(!recordingOptions);
+
+        done();
+      })
+      .done();
+
+    escapeInAWhile();
+
+    /**
+     * Press 0 once the greeting has started playing.
+     */
+    function escapeInAWhile() {
+      setTimeout(function() {
+        if (promptsPlayed.length) {
+          channel.emit('ChannelDtmfReceived', {digit: '0'}, channel);
+        } else {
+          escapeInAWhile();
+        }
+      }, asyncDelay / 10);
+    }
+  });
+
+  it('should support escaping to login', function(done) {
+    var ari = require('ari-client-wrapper');
+    var channel = getMockClient().getChannel();
+    var mailbox = require('../lib/mailbox.js');
+    var mailboxHelper = mailbox(getMockDependencies())
+      .createWriter(getMockMailbox(), channel);
+
+    mailboxHelper.record()
+      .catch(function(err) {
+        assert(err instanceof mailbox.errors.EscapeError);
+        assert(err.reason === 'login');
+
+        done();
+      })
+      .done();
+
+    escapeInAWhile();
+
+    /**
+     * Press * once the greeting has started playing.
+     */
+    function escapeInAWhile() {
+      setTimeout(function() {
+        if (promptsPlayed.length) {
+          channel.emit('ChannelDtmfReceived', {digit: '*'}, channel);
+        } else {
+          escapeInAWhile();
+        }
+      }, asyncDelay / 10);
+    }
+  });
+
   it('should support using hangup to stop a recording', function(done) {
     var ari = require('ari-client-wrapper');
     var channel = getMockClient().getChannel();
@@ -467,4 +1021,87 @@ describe('mailbox', function() {
     }
   });
 
+  it('should support rejecting when hanging up before recording',
+      function(done) {
+    var channel = getMockClient().getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createWriter(getMockMailbox(), channel);
+
+    mailboxHelper.record()
+      .catch(function(err) {
+        assert(!recordingFinished);
+        assert(!message);
+
+        // the greeting is not played once hung up
+        setTimeout(function() {
+          assert(!recordingOptions);
+          assert(promptsPlayed.length === 0);
+
+          done();
+        }, asyncDelay * 5);
+      })
+      .done();
+
+    setTimeout(function() {
+      channel.emit('StasisEnd');
+    }, asyncDelay);
+  });
+
+
+  it('should support rejecting operations that cannot be handled yet',
+      function(done) {
+    // recording, reviewing and saving takes more than the default timeout
+    this.timeout(asyncDelay * 40);
+
+    var channel = getMockClient().getChannel();
+    var mailboxHelper = require('../lib/mailbox.js')(getMockDependencies())
+      .createWriter(getMockMailbox(), channel);
+
+    mailboxHelper.markUrgent()
+      .catch(function(err) {
+        assert(/Cannot handle markUrgent/.test(err.message));
+
+        var recorded = mailboxHelper.record();
+        stopInAWhile();
+
+        return recorded;
+      })
+      .then(function() {
+        return mailboxHelper.listen()
+          .catch(function(err) {
+            assert(/Cannot handle listen/.test(err.message));
+
+            return mailboxHelper.review();
+          });
+      })
+      .then(function() {
+        return mailboxHelper.review()
+          .catch(function(err) {
+            assert(/Cannot handle review/.test(err.message));
+
+            return mailboxHelper.save();
+          });
+      })
+      .then(function() {
+        assert(messagesSaved === 1);
+
+        done();
+      })
+      .done();
+
+    /**
+     * Call stop on mailbox helper once prompt has finished to simulate user
+     * hearing beep before stopping recording.
+     */
+    function stopInAWhile() {
+      setTimeout(function() {
+        if (promptFinished) {
+          mailboxHelper.stop();
+        } else {
+          stopInAWhile();
+        }
+      }, asyncDelay);
+    }
+  });
+
 });